@@ -1,6 +1,8 @@
 import _assign from 'lodash/assign';
 import _map from 'lodash/map';
 import _isEqual from 'lodash/isEqual';
+import _isPlainObject from 'lodash/isPlainObject';
+import _cloneDeep from 'lodash/cloneDeep';
 
 function duplicate(data) {
   if (Array.isArray(data)) {
@@ -10,6 +12,97 @@ function duplicate(data) {
   }
 }
 
+function isBlank(value) {
+  return value === undefined || value === null;
+}
+
+function isNumeric(value) {
+  return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+}
+
+/*
+  Compares a record's value with an operand of a range operator: as numbers
+  or dates if the operand is one, as numbers if both are numeric strings, like
+  query param values, and as strings otherwise. Returns NaN if the value can't
+  be compared.
+*/
+function compare(value, operand) {
+  if (operand instanceof Date) {
+    value = new Date(value).getTime();
+    operand = operand.getTime();
+  } else if (typeof operand === 'number') {
+    value = Number(value);
+  } else if (isNumeric(operand) && isNumeric(value)) {
+    value = Number(value);
+    operand = Number(operand);
+  } else {
+    value = String(value);
+    operand = String(operand);
+  }
+
+  if (value !== value) {
+    return NaN;
+  }
+
+  return value < operand ? -1 : (value > operand ? 1 : 0);
+}
+
+const OPERATORS = {
+  eq: (value, operand) => matches(value, operand),
+  ne: (value, operand) => !matches(value, operand),
+  gt: (value, operand) => !isBlank(value) && compare(value, operand) > 0,
+  gte: (value, operand) => !isBlank(value) && compare(value, operand) >= 0,
+  lt: (value, operand) => !isBlank(value) && compare(value, operand) < 0,
+  lte: (value, operand) => !isBlank(value) && compare(value, operand) <= 0,
+  in: (value, operands) => operands.some((operand) => matches(value, operand)),
+  notIn: (value, operands) => !operands.some((operand) => matches(value, operand)),
+  null: (value, isNull) => isBlank(value) === !!isNull,
+  regex: (value, regexp) => !isBlank(value) && new RegExp(regexp).test(String(value))
+};
+
+function isOperatorHash(condition) {
+  let keys = _isPlainObject(condition) ? Object.keys(condition) : [];
+
+  return keys.length > 0 && keys.every((key) => OPERATORS.hasOwnProperty(key));
+}
+
+/*
+  Whether a record's value matches a condition of a query: a hash of
+  operators, a regular expression, a hash of conditions for the keys of a
+  nested object, or a value that's compared as a string.
+*/
+function matches(value, condition) {
+  if (isOperatorHash(condition)) {
+    return Object.keys(condition).every((operator) => OPERATORS[operator](value, condition[operator]));
+  } else if (condition instanceof RegExp) {
+    return OPERATORS.regex(value, condition);
+  } else if (_isPlainObject(condition)) {
+    return _isPlainObject(value) && Object.keys(condition).every((key) => matches(value[key], condition[key]));
+  } else {
+    return String(value) === String(condition);
+  }
+}
+
+/*
+  Returns the value of a record for a dot-separated path through its nested
+  objects, e.g. `address.city`.
+*/
+function valueForPath(record, path) {
+  if (path in record) {
+    return record[path];
+  }
+
+  return path.split('.').reduce((value, key) => (isBlank(value) ? undefined : value[key]), record);
+}
+
+/*
+  Whether the records matching a condition can be looked up in an index,
+  which holds the values of the records as strings.
+*/
+function isIndexable(condition) {
+  return !_isPlainObject(condition) && !(condition instanceof RegExp);
+}
+
 /**
   Mirage's `Db` has many `DbCollections`, which are equivalent to tables from traditional databases. They store specific types of data, for example `users` and `posts`.
 
@@ -35,6 +128,11 @@ class DbCollection {
   constructor(name, initialData, IdentityManager) {
     this.name = name;
     this._records = [];
+    this._recordsById = {};
+    this._positions = {};
+    this._nextPosition = 0;
+    this._indexes = {};
+    this._journal = null;
     this.identityManager = new IdentityManager();
 
     if (initialData) {
@@ -153,6 +251,29 @@ class DbCollection {
     db.users.where({ name: 'Zelda' }); // [ { id: 2, name: 'Zelda' } ]
     ```
 
+    Instead of a value, a key can be matched against a hash of operators, which must all match:
+
+    - `eq` and `ne` compare with a value, like a plain value does
+    - `gt`, `gte`, `lt` and `lte` compare as numbers or dates if the value is a number or a `Date`, as numbers if both sides are numeric strings (like query param values), and as strings otherwise. Null values never match them
+    - `in` and `notIn` compare with each value of a list
+    - `null: true` matches null or missing values, and `null: false` any other value
+    - `regex` matches string values against a regular expression. A `RegExp` can also be passed in place of the hash
+
+    Keys of nested objects can be matched with a dot-separated path, or with a hash of their conditions:
+
+    ```js
+    db.users.where({
+      age: { gte: 18, lt: 65 },
+      status: { in: ['active', 'invited'] },
+      deletedAt: { null: true },
+      name: /^Li/,
+      'address.city': 'Oslo'
+    });
+    db.users.where({ address: { city: 'Oslo' } });
+    ```
+
+    The same queries work with `findBy`, `update` and `remove`, and with the `where` and `findBy` methods of the schema's collections.
+
     @method where
     @param query
     @public
@@ -216,6 +337,61 @@ class DbCollection {
     }
   }
 
+  /**
+    Adds an index on `key`, so that queries for a value of `key` only look at the matching records instead of the whole collection. Records are always indexed by their id. Indexes are kept up to date as records are inserted, updated and removed.
+
+    Indexes help with large collections that are often queried by the same key, like a foreign key:
+
+    ```js
+    db.comments.addIndex('postId');
+
+    db.comments.where({ postId: 1 });
+    ```
+
+    An index is used for plain values, which are compared as strings. Queries with operators still look at every record.
+
+    @method addIndex
+    @param {String} key
+    @public
+   */
+  addIndex(key) {
+    if (!this._indexes[key]) {
+      this._indexes[key] = {};
+      this._records.forEach((record) => this._addToIndex(key, record));
+    }
+
+    return this;
+  }
+
+  /**
+    Returns a copy of the collection's records and of the state of its identity manager, which can be restored with `restore`.
+
+    @method snapshot
+    @public
+    @hide
+   */
+  snapshot() {
+    return {
+      records: _cloneDeep(this._records),
+      identityManager: _cloneDeep(this.identityManager)
+    };
+  }
+
+  /**
+    Replaces the collection's records and identity manager with copies of a snapshot's. The collection's indexes are kept.
+
+    @method restore
+    @param snapshot
+    @public
+    @hide
+   */
+  restore(snapshot) {
+    this.remove();
+    this.identityManager = _cloneDeep(snapshot.identityManager);
+
+    _cloneDeep(snapshot.records).forEach((record) => this._addRecord(record));
+  }
+
   /**
     Updates one or more records in the collection.
 
@@ -314,27 +490,32 @@ class DbCollection {
     let records;
 
     if (typeof target === 'undefined') {
+      let { _records, _recordsById, _positions } = this;
+      let indexes = _assign({}, this._indexes);
+
+      this._logIdentityManager();
+      this._logUndo(() => {
+        _assign(this, { _records, _recordsById, _positions, _indexes: indexes });
+      });
+
       this._records = [];
+      this._recordsById = {};
+      this._positions = {};
+      Object.keys(this._indexes).forEach((key) => {
+        this._indexes[key] = {};
+      });
       this.identityManager.reset();
 
     } else if (typeof target === 'number' || typeof target === 'string') {
-      let record = this._findRecord(target);
-      let index = this._records.indexOf(record);
-      this._records.splice(index, 1);
+      this._removeRecords([ this._findRecord(target) ]);
 
     } else if (Array.isArray(target)) {
       records = this._findRecords(target);
-      records.forEach((record) =>  {
-        let index = this._records.indexOf(record);
-        this._records.splice(index, 1);
-      });
+      this._removeRecords(records);
 
     } else if (typeof target === 'object') {
       records = this._findRecordsWhere(target);
-      records.forEach((record) =>  {
-        let index = this._records.indexOf(record);
-        this._records.splice(index, 1);
-      });
+      this._removeRecords(records);
     }
   }
 
@@ -354,9 +535,7 @@ class DbCollection {
   _findRecord(id) {
     id = id.toString();
 
-    let [record] = this._records.filter((obj) => obj.id === id);
-
-    return record;
+    return this._recordsById.hasOwnProperty(id) ? this._recordsById[id] : undefined;
   }
 
   /**
@@ -386,13 +565,13 @@ class DbCollection {
     @hide
    */
   _findRecordsWhere(query) {
-    let records = this._records;
+    let records = typeof query === 'object' ? this._indexedRecordsFor(query) : this._records;
 
     function defaultQueryFunction(record) {
       let keys = Object.keys(query);
 
       return keys.every(function(key) {
-        return String(record[key]) === String(query[key]);
+        return matches(valueForPath(record, key), query[key]);
       });
     }
 
@@ -410,6 +589,8 @@ class DbCollection {
   _insertRecord(data) {
     let attrs = duplicate(data);
 
+    this._logIdentityManager();
+
     if (attrs && (attrs.id === undefined || attrs.id === null)) {
       attrs.id = this.identityManager.fetch(attrs);
     } else {
@@ -418,11 +599,27 @@ class DbCollection {
       this.identityManager.set(attrs.id);
     }
 
-    this._records.push(attrs);
+    this._addRecord(attrs);
 
     return duplicate(attrs);
   }
 
+  /**
+    @method _addRecord
+    @param record
+    @private
+    @hide
+   */
+  _addRecord(record) {
+    this._records.push(record);
+    this._recordsById[record.id] = record;
+    this._positions[record.id] = this._nextPosition++;
+
+    Object.keys(this._indexes).forEach((key) => this._addToIndex(key, record));
+
+    this._logUndo(() => this._removeRecords([ record ]));
+  }
+
   /**
     @method _updateRecord
     @param record
@@ -438,12 +635,191 @@ class DbCollection {
       throw new Error('Updating the ID of a record is not permitted');
     }
 
-    for (let attr in attrs) {
-      if (attr === 'id') {
-        continue;
+    let previousAttrs = _assign({}, record);
+
+    this._replaceAttrs(record, () => {
+      for (let attr in attrs) {
+        if (attr === 'id') {
+          continue;
+        }
+
+        record[attr] = attrs[attr];
+      }
+    });
+
+    this._logUndo(() => {
+      this._replaceAttrs(record, () => {
+        Object.keys(record).forEach((attr) => delete record[attr]);
+        _assign(record, previousAttrs);
+      });
+    });
+  }
+
+  /*
+    Changes the attributes of a record, keeping the indexes up to date.
+  */
+  _replaceAttrs(record, change) {
+    let indexedKeys = Object.keys(this._indexes);
+
+    indexedKeys.forEach((key) => this._removeFromIndex(key, record));
+    change();
+    indexedKeys.forEach((key) => this._addToIndex(key, record));
+  }
+
+  /**
+    @method _removeRecords
+    @param records
+    @private
+    @hide
+   */
+  _removeRecords(records) {
+    let removedIds = {};
+
+    records = records.filter(Boolean);
+
+    let positions = records.map(({ id }) => this._positions[id]);
+    this._logUndo(() => {
+      records.forEach((record, i) => this._reinsertRecord(record, positions[i]));
+    });
+
+    records.forEach((record) => {
+      Object.keys(this._indexes).forEach((key) => this._removeFromIndex(key, record));
+      delete this._recordsById[record.id];
+      delete this._positions[record.id];
+      removedIds[record.id] = true;
+    });
+
+    if (Object.keys(removedIds).length > 0) {
+      this._records = this._records.filter(({ id }) => !removedIds.hasOwnProperty(id));
+    }
+  }
+
+  /*
+    Puts a removed record back in its position.
+  */
+  _reinsertRecord(record, position) {
+    let low = 0;
+    let high = this._records.length;
+
+    while (low < high) {
+      let middle = Math.floor((low + high) / 2);
+
+      if (this._positions[this._records[middle].id] < position) {
+        low = middle + 1;
+      } else {
+        high = middle;
       }
+    }
+
+    this._records.splice(low, 0, record);
+    this._recordsById[record.id] = record;
+    this._positions[record.id] = position;
+
+    Object.keys(this._indexes).forEach((key) => this._addToIndex(key, record));
+  }
+
+  /*
+    Records a function that undoes a change, if the collection's db is in a
+    transaction. See `Db#transaction`.
+  */
+  _logUndo(undo) {
+    let transaction = this._currentTransaction();
+
+    if (transaction) {
+      transaction.undos.push(undo);
+    }
+  }
 
-      record[attr] = attrs[attr];
+  /*
+    Records a copy of the identity manager before its first change in the
+    current transaction, so that ids used by rolled back records are
+    available again.
+  */
+  _logIdentityManager() {
+    let transaction = this._currentTransaction();
+
+    if (!transaction || transaction.identityManagersLogged.indexOf(this) > -1) {
+      return;
+    }
+
+    let identityManager = _cloneDeep(this.identityManager);
+
+    transaction.identityManagersLogged.push(this);
+    transaction.undos.push(() => {
+      this.identityManager = identityManager;
+    });
+  }
+
+  /*
+    Returns the transaction the collection's changes belong to: the one
+    that's running, or else the latest open one.
+  */
+  _currentTransaction() {
+    let journal = this._journal;
+
+    if (!journal || journal.isRollingBack) {
+      return null;
+    }
+
+    return journal.running || journal.transactions[journal.transactions.length - 1] || null;
+  }
+
+  /*
+    Returns the records that could match a query, using the id or another
+    index if the query has a plain value for one of them. The records still
+    have to be matched against the whole query.
+  */
+  _indexedRecordsFor(query) {
+    let keys = Object.keys(query).filter((key) => isIndexable(query[key]));
+
+    if (keys.indexOf('id') > -1) {
+      let record = isBlank(query.id) ? undefined : this._findRecord(query.id);
+
+      return record ? [ record ] : [];
+    }
+
+    let key = keys.find((key) => this._indexes[key]);
+
+    if (!key) {
+      return this._records;
+    }
+
+    let index = this._indexes[key];
+    let value = String(query[key]);
+
+    return index.hasOwnProperty(value) ? index[value].slice() : [];
+  }
+
+  /*
+    Adds a record to the list of the records with its value for an index,
+    which is kept in insertion order.
+  */
+  _addToIndex(key, record) {
+    let index = this._indexes[key];
+    let value = String(valueForPath(record, key));
+    let records = index.hasOwnProperty(value) ? index[value] : (index[value] = []);
+    let position = this._positions[record.id];
+    let i = records.length;
+
+    while (i > 0 && this._positions[records[i - 1].id] > position) {
+      i--;
+    }
+
+    records.splice(i, 0, record);
+  }
+
+  _removeFromIndex(key, record) {
+    let index = this._indexes[key];
+    let value = String(valueForPath(record, key));
+    let records = index.hasOwnProperty(value) ? index[value] : [];
+    let i = records.indexOf(record);
+
+    if (i > -1) {
+      records.splice(i, 1);
+
+      if (records.length === 0) {
+        delete index[value];
+      }
     }
   }
 }
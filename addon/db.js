@@ -1,8 +1,66 @@
 import DbCollection from './db-collection';
 import IdentityManager from './identity-manager';
 import { singularize } from './utils/inflector';
+import _assign from 'lodash/assign';
 import _cloneDeep from 'lodash/cloneDeep';
 
+/* global Proxy, Reflect */
+
+const COLLECTION_METHODS = ['insert', 'find', 'findBy', 'where', 'update', 'remove', 'firstOrCreate', 'addIndex'];
+
+/*
+  Adds the methods of a collection to an array of its records.
+*/
+function withCollectionMethods(records, collection) {
+  COLLECTION_METHODS.forEach(function(method) {
+    records[method] = function() {
+      return collection[method](...arguments);
+    };
+  });
+
+  return records;
+}
+
+/*
+  Returns the public interface of a collection: an array of copies of its
+  records, with the methods of the collection. The records are only copied
+  once the array itself is used, so calling a method doesn't copy the whole
+  collection. Browsers without proxies get the copy right away.
+*/
+function publicInterfaceFor(collection) {
+  if (typeof Proxy === 'undefined') {
+    return withCollectionMethods(collection.all(), collection);
+  }
+
+  let methods = withCollectionMethods({}, collection);
+  let isCopied = false;
+  let copy = function(records) {
+    if (!isCopied) {
+      isCopied = true;
+      collection.all().forEach((record) => records.push(record));
+    }
+
+    return records;
+  };
+
+  return new Proxy([], {
+    get(records, key, receiver) {
+      if (COLLECTION_METHODS.indexOf(key) > -1) {
+        return methods[key];
+      }
+
+      return Reflect.get(copy(records), key, receiver);
+    },
+
+    set: (records, ...args) => Reflect.set(copy(records), ...args),
+    has: (records, key) => COLLECTION_METHODS.indexOf(key) > -1 || Reflect.has(copy(records), key),
+    ownKeys: (records) => Reflect.ownKeys(copy(records)),
+    getOwnPropertyDescriptor: (records, key) => Reflect.getOwnPropertyDescriptor(copy(records), key),
+    defineProperty: (records, ...args) => Reflect.defineProperty(copy(records), ...args),
+    deleteProperty: (records, key) => Reflect.deleteProperty(copy(records), key)
+  });
+}
+
 /**
   Your Mirage server has a database which you can interact with in your route handlers. You’ll typically use models to interact with your database data, but you can always reach into the db directly in the event you want more control.
 
@@ -14,6 +72,8 @@ import _cloneDeep from 'lodash/cloneDeep';
   schema.db.users  // would return, e.g., [ { id: 1, name: 'Yehuda' }, { id: 2, name: 'Tom '} ]
   ```
 
+  The records are copied the first time the array is used, not when the property is read, so calling `schema.db.users.insert` or `schema.db.users.where` doesn't copy the collection.
+
   @class Db
   @constructor
   @public
@@ -22,6 +82,7 @@ class Db {
 
   constructor(initialData, identityManagers) {
     this._collections = [];
+    this._journal = { transactions: [], running: null, isRollingBack: false };
 
     this.registerIdentityManagers(identityManagers);
 
@@ -86,21 +147,14 @@ class Db {
     if (!this[name]) {
       let IdentityManager = this.identityManagerFor(name);
       let newCollection = new DbCollection(name, initialData, IdentityManager);
+      newCollection._journal = this._journal;
 
-      // Public API has a convenient array interface. It comes at the cost of
-      // returning a copy of all records to avoid accidental mutations.
+      // Public API has a convenient array interface. It returns a copy of all
+      // records to avoid accidental mutations, which is only made once the
+      // array is used.
       Object.defineProperty(this, name, {
         get() {
-          let recordsCopy = newCollection.all();
-
-          ['insert', 'find', 'findBy', 'where', 'update', 'remove', 'firstOrCreate']
-            .forEach(function(method) {
-              recordsCopy[method] = function() {
-                return newCollection[method](...arguments);
-              };
-            });
-
-          return recordsCopy;
+          return publicInterfaceFor(newCollection);
         }
       });
 
@@ -109,16 +163,7 @@ class Db {
       // internally, which leads to accidental O(n^2) operations (e.g., createList).
       Object.defineProperty(this, `_${name}`, {
         get() {
-          let recordsCopy = [];
-
-          ['insert', 'find', 'findBy', 'where', 'update', 'remove', 'firstOrCreate']
-            .forEach(function(method) {
-              recordsCopy[method] = function() {
-                return newCollection[method](...arguments);
-              };
-            });
-
-          return recordsCopy;
+          return withCollectionMethods([], newCollection);
         }
       });
 
@@ -131,6 +176,27 @@ class Db {
     return this;
   }
 
+  /**
+    Makes the collection named _name_ available to the schema under _alias_ as well, without adding it to the public API. Used for models that are stored in the collection of the model they extend.
+
+    @method createCollectionAlias
+    @param alias
+    @param name
+    @public
+    @hide
+   */
+  createCollectionAlias(alias, name) {
+    if (!this[`_${alias}`]) {
+      Object.defineProperty(this, `_${alias}`, {
+        get() {
+          return this[`_${name}`];
+        }
+      });
+    }
+
+    return this;
+  }
+
   /**
     @method createCollections
     @param ...collections
@@ -151,6 +217,172 @@ class Db {
     this._collections.forEach((c) => c.remove());
   }
 
+  /**
+    Returns a snapshot of the data of every collection, together with the state of their identity managers. Pass it to `restore` to bring the database back to that state, as many times as you like.
+
+    This lets you build expensive data once and reset it for each test:
+
+    ```js
+    let snapshot;
+
+    hooks.beforeEach(function() {
+      if (snapshot) {
+        this.server.db.restore(snapshot);
+      } else {
+        this.server.createList('post', 1000, 'withComments');
+        snapshot = this.server.db.snapshot();
+      }
+    });
+    ```
+
+    The snapshot is opaque, and isn't changed by later changes to the database.
+
+    @method snapshot
+    @return {Object} The snapshot
+    @public
+   */
+  snapshot() {
+    return {
+      collections: this._collections.reduce((snapshots, collection) => {
+        snapshots[collection.name] = collection.snapshot();
+
+        return snapshots;
+      }, {})
+    };
+  }
+
+  /**
+    Restores the data and identity managers of a snapshot returned by `snapshot`. Collections created after the snapshot was taken are emptied.
+
+    The snapshot can be restored into another server's database, like the new server of each test.
+
+    @method restore
+    @param {Object} snapshot - A snapshot returned by `snapshot`
+    @public
+   */
+  restore(snapshot) {
+    let { collections } = snapshot;
+
+    this._collections.forEach((collection) => {
+      if (!collections.hasOwnProperty(collection.name)) {
+        collection.remove();
+      }
+    });
+
+    Object.keys(collections).forEach((name) => {
+      this.createCollection(name);
+      this._collections.find((collection) => collection.name === name).restore(collections[name]);
+    });
+  }
+
+  /**
+    Runs `callback` in a transaction: if it throws an error, or returns a promise that rejects, every change it made to the database is rolled back, and the error is rethrown. Otherwise, the changes are kept, and the callback's return value is returned.
+
+    ```js
+    server.db.transaction(() => {
+      let user = server.db.users.insert({ name: 'Link' });
+      server.db.accounts.insert({ userId: user.id, balance: -1 });
+
+      throw new Error('The balance cannot be negative.'); // Link is removed again
+    });
+    ```
+
+    Ids used by rolled back records can be used again. Transactions can be nested, and rolling back an inner transaction only undoes its own changes. Transactions that overlap without being nested, like those of two pending requests, keep their changes apart. Changes made after the callback has returned, like those in the `then` callbacks of its promise, belong to the transaction that was begun last.
+
+    Route handlers can run in a transaction too. See the `transactional` property of the server.
+
+    @method transaction
+    @param {Function} callback
+    @return The callback's return value
+    @public
+   */
+  transaction(callback) {
+    let transaction = this._beginTransaction();
+    let result;
+
+    try {
+      result = transaction.run(callback);
+    } catch(e) {
+      transaction.rollback();
+      throw e;
+    }
+
+    if (result && typeof result.then === 'function') {
+      return result.then((value) => {
+        transaction.commit();
+        return value;
+      }, (error) => {
+        transaction.rollback();
+        throw error;
+      });
+    }
+
+    transaction.commit();
+
+    return result;
+  }
+
+  /**
+    Starts a transaction, and returns an object with `commit` and `rollback` functions that end it, and a `run` function that runs a callback in it.
+
+    Each transaction has its own list of undos. Changes are logged to the transaction whose `run` callback is running, or to the latest open transaction if there's none. Committing a transaction drops its undos, unless it was begun inside another one, which takes them over.
+
+    @method _beginTransaction
+    @private
+    @hide
+   */
+  _beginTransaction() {
+    let journal = this._journal;
+    let transaction = { parent: journal.running, undos: [], identityManagersLogged: [] };
+    let end = () => {
+      let index = journal.transactions.indexOf(transaction);
+
+      if (index > -1) {
+        journal.transactions.splice(index, 1);
+      }
+    };
+
+    journal.transactions.push(transaction);
+
+    return _assign(transaction, {
+      run(callback) {
+        let running = journal.running;
+        journal.running = transaction;
+
+        try {
+          return callback();
+        } finally {
+          journal.running = running;
+        }
+      },
+
+      commit() {
+        let { parent } = transaction;
+        end();
+
+        // A nested transaction's changes are undone if its parent rolls back
+        if (parent && journal.transactions.indexOf(parent) > -1) {
+          parent.undos.push(...transaction.undos);
+          parent.identityManagersLogged.push(...transaction.identityManagersLogged);
+        }
+      },
+
+      rollback() {
+        journal.isRollingBack = true;
+
+        try {
+          while (transaction.undos.length > 0) {
+            transaction.undos.pop()();
+          }
+        } finally {
+          journal.isRollingBack = false;
+        }
+
+        end();
+      }
+    });
+  }
+
   /**
     @method identityManagerFor
     @param name
@@ -0,0 +1,138 @@
+import Response from './response';
+import { dasherize } from './utils/inflector';
+
+function pointerFor(key) {
+  return key === 'base' ? '/data' : `/data/attributes/${dasherize(key)}`;
+}
+
+/*
+  Turns a hash of attribute names to error messages into a list of errors.
+*/
+function errorsForHash(hash) {
+  return Object.keys(hash).reduce((errors, key) => {
+    let messages = Array.isArray(hash[key]) ? hash[key] : [ hash[key] ];
+
+    return errors.concat(messages.map((detail) => ({ pointer: pointerFor(key), detail })));
+  }, []);
+}
+
+function errorObjectFor(status, { status: errorStatus, code, title, detail, pointer, parameter, source, meta }) {
+  let error = { status: `${errorStatus || status}` };
+
+  if (code !== undefined) {
+    error.code = code;
+  }
+  if (title !== undefined) {
+    error.title = title;
+  }
+  if (detail !== undefined) {
+    error.detail = detail;
+  }
+  if (pointer || parameter) {
+    source = pointer ? { pointer } : { parameter };
+  }
+  if (source) {
+    error.source = source;
+  }
+  if (meta) {
+    error.meta = meta;
+  }
+
+  return error;
+}
+
+/**
+  Returns a Response with a JSON:API error document.
+
+  ```js
+  import { errorResponse } from 'ember-cli-mirage';
+
+  this.post('/posts', (schema, request) => {
+    let attrs = this.normalizedRequestAttrs();
+
+    if (!attrs.title) {
+      return errorResponse(422, [
+        { pointer: '/data/attributes/title', code: 'blank', detail: 'Title can\'t be blank' }
+      ]);
+    }
+
+    return schema.posts.create(attrs);
+  });
+  ```
+
+  Each error can have a `status` (defaults to the response's), `code`, `title`, `detail` and `meta`, and either a `pointer` or a `parameter` for its `source`.
+
+  You can also pass a hash of attribute names to error messages. Their pointers point to the attributes, or to the primary data for `base`:
+
+  ```js
+  return errorResponse(422, { title: [ 'can\'t be blank' ], base: 'is invalid' });
+  ```
+
+  @method errorResponse
+  @param {Number} status
+  @param {Array|Object} errors
+  @param {Object} headers
+  @return {Response}
+  @public
+*/
+export function errorResponse(status, errors, headers = {}) {
+  let list = Array.isArray(errors) ? errors : errorsForHash(errors || {});
+
+  return new Response(status, headers, {
+    errors: list.map((error) => errorObjectFor(status, error))
+  });
+}
+
+/**
+  Throw a ValidationError from a route handler to respond with a 422 JSON:API error document. Its `errors` are the ones you'd pass to `errorResponse`.
+
+  ```js
+  import { ValidationError } from 'ember-cli-mirage';
+
+  this.post('/posts', function(schema) {
+    let attrs = this.normalizedRequestAttrs();
+
+    if (!attrs.title) {
+      throw new ValidationError({ title: [ 'can\'t be blank' ] });
+    }
+
+    return schema.posts.create(attrs);
+  });
+  ```
+
+  ValidationErrors thrown while a POST, PATCH or PUT shorthand creates or updates a model are turned into a 422 as well.
+
+  @class ValidationError
+  @constructor
+  @param {Array|Object} errors
+  @param {String} message
+  @public
+*/
+export function ValidationError(errors, message = 'The record is invalid.') {
+  let tmp = Error(message);
+
+  this.name = 'ValidationError';
+  this.message = message;
+  this.stack = tmp.stack;
+  this.errors = errors;
+}
+
+ValidationError.prototype = Object.create(Error.prototype);
+
+/**
+  Thrown when destroying a model that has dependents through an association with `onDelete: 'restrict'`. Route handlers respond to it with a 409 JSON:API error document.
+
+  @class DeleteRestrictionError
+  @constructor
+  @param {String} message
+  @public
+*/
+export function DeleteRestrictionError(message) {
+  let tmp = Error(message);
+
+  this.name = 'DeleteRestrictionError';
+  this.message = message;
+  this.stack = tmp.stack;
+}
+
+DeleteRestrictionError.prototype = Object.create(Error.prototype);
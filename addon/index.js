@@ -2,6 +2,7 @@ import Factory from './factory';
 import trait from './trait';
 import association from './association';
 import Response from './response';
+import { errorResponse, ValidationError, DeleteRestrictionError } from './errors';
 import Model from './orm/model';
 import Collection from './orm/collection';
 import Serializer from './serializer';
@@ -9,14 +10,18 @@ import ActiveModelSerializer from './serializers/active-model-serializer';
 import JSONAPISerializer from './serializers/json-api-serializer';
 import RestSerializer from './serializers/rest-serializer';
 import HasMany from './orm/associations/has-many';
+import HasManyThrough from './orm/associations/has-many-through';
 import BelongsTo from './orm/associations/belongs-to';
+import Attribute from './orm/attribute';
 import IdentityManager from './identity-manager';
 
 /**
   @hide
 */
 function hasMany(...args) {
-  return new HasMany(...args);
+  let opts = typeof args[0] === 'object' ? args[0] : args[1];
+
+  return opts && opts.through ? new HasManyThrough(...args) : new HasMany(...args);
 }
 
 /**
@@ -26,11 +31,21 @@ function belongsTo(...args) {
   return new BelongsTo(...args);
 }
 
+/**
+  @hide
+*/
+function attr(...args) {
+  return new Attribute(...args);
+}
+
 export {
   Factory,
   trait,
   association,
   Response,
+  errorResponse,
+  ValidationError,
+  DeleteRestrictionError,
   Model,
   Collection,
   Serializer,
@@ -39,6 +54,7 @@ export {
   RestSerializer,
   hasMany,
   belongsTo,
+  attr,
   IdentityManager
 };
 
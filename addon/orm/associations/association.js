@@ -1,4 +1,7 @@
 import { dasherize } from 'ember-cli-mirage/utils/inflector';
+import assert from '../../assert';
+
+const ON_DELETE_ACTIONS = ['cascade', 'nullify', 'restrict'];
 
 /**
   To define associations on your models, use the `belongsTo` and `hasMany` helpers. Each helper adds some dynamic methods to your model.
@@ -161,6 +164,88 @@ import { dasherize } from 'ember-cli-mirage/utils/inflector';
   user.thingIds = [ { id: 2, type: 'watch' }, ... ];
   ```
 
+  ### ordered
+
+  The ids of a has-many association are stored in order, and serializers emit them in that order. Pass `ordered: true` to add methods for changing the order:
+
+  ```js
+  // app/models/playlist.js
+  export default Model.extend({
+    songs: hasMany({ ordered: true })
+  });
+
+  playlist.moveSong(0, 2); // moves the first song to the third position
+  playlist.insertSongAt(1, song); // adds the song at the second position, or moves it there
+  ```
+
+  Both methods persist the changes right away, and `insertSongAt` returns the song.
+
+  ### through
+
+  A `hasMany` can read and write its models through the records of a join model, which belongs to both models and can carry its own attributes:
+
+  ```js
+  // app/models/blog-post.js
+  export default Model.extend({
+    tags: hasMany({ through: 'tagging' })
+  });
+
+  // app/models/tagging.js
+  export default Model.extend({
+    blogPost: belongsTo(),
+    tag: belongsTo(),
+  });
+  ```
+
+  `blogPost.tags` and `blogPost.tagIds` are read from the join models, and their ids aren't stored on the blog post. Setting them updates the join models when the blog post is saved: the join models of the tags that are kept keep their attributes, such as a `role` or `position`.
+
+  If the join model belongs to the associated model more than once, as in reflexive associations, use the `source` option to name the join model's association that points to the associated models:
+
+  ```js
+  // app/models/user.js
+  export default Model.extend({
+    followers: hasMany('user', { through: 'follow', source: 'follower' })
+  });
+  ```
+
+  By default, the join models are destroyed along with the owner. The `onDelete` option of an association with `through` applies to its join models.
+
+  ### onDelete
+
+  By default, destroying a model only removes it from the foreign keys of the models related to it. Use the `onDelete` option to choose what happens to the related models instead:
+
+  ```js
+  // app/models/blog-post.js
+  export default Model.extend({
+    comments: hasMany({ onDelete: 'cascade' }),
+    author: belongsTo()
+  });
+
+  // app/models/author.js
+  export default Model.extend({
+    blogPosts: hasMany({ onDelete: 'restrict' })
+  });
+  ```
+
+  On a `hasMany`, the option applies to the associated models when the model that owns the association is destroyed. On a `belongsTo`, it applies to the model that owns the association when the associated model is destroyed, just like a database foreign key constraint.
+
+  - `nullify` (the default) removes the destroyed model from their foreign keys
+  - `cascade` destroys them as well
+  - `restrict` throws a `DeleteRestrictionError` if there are any, and nothing is destroyed. Route handlers respond to it with a `409`
+
+  ### counterCache
+
+  A `belongsTo` can keep a count of the models that belong to the associated model in one of its attributes:
+
+  ```js
+  // app/models/comment.js
+  export default Model.extend({
+    blogPost: belongsTo({ counterCache: 'commentsCount' })
+  });
+  ```
+
+  The count is updated whenever comments are associated with or disassociated from a blog post, from either side of the association, and when they're destroyed. Soft-deleted comments aren't counted. Pass `true` to name the attribute after the owner's model, here `commentsCount`. The comments are counted through an index on their `blogPostId`, which Mirage adds to the database for you.
+
   @class Association
   @constructor
   @public
@@ -179,6 +264,11 @@ export default class Association {
       this.opts = opts || {};
     }
 
+    assert(
+      this.opts.onDelete === undefined || ON_DELETE_ACTIONS.indexOf(this.opts.onDelete) > -1,
+      `'${this.opts.onDelete}' is not a valid onDelete option. Use 'cascade', 'nullify' or 'restrict'.`
+    );
+
     // The key pointing to the association
     this.key = '';
 
@@ -215,6 +305,22 @@ export default class Association {
     return this.opts.polymorphic;
   }
 
+  /**
+    Returns true if the association reads and writes its models through a join model.
+
+    @hide
+  */
+  get isThrough() {
+    return false;
+  }
+
+  /**
+    @hide
+  */
+  get onDelete() {
+    return this.opts.onDelete || 'nullify';
+  }
+
   /**
     @hide
   */
@@ -1,7 +1,7 @@
 import Association from './association';
 import _assign from 'lodash/assign';
-import { capitalize, camelize } from 'ember-cli-mirage/utils/inflector';
-import { toCollectionName } from 'ember-cli-mirage/utils/normalize-name';
+import { capitalize, camelize, pluralize } from 'ember-cli-mirage/utils/inflector';
+import { toCollectionName, toInternalCollectionName } from 'ember-cli-mirage/utils/normalize-name';
 import assert from 'ember-cli-mirage/assert';
 
 /**
@@ -15,6 +15,12 @@ import assert from 'ember-cli-mirage/assert';
  */
 export default class BelongsTo extends Association {
 
+  constructor(...args) {
+    super(...args);
+
+    assert(!(this.opts.counterCache && this.isPolymorphic), 'A polymorphic belongsTo association can\'t have a counterCache.');
+  }
+
   get identifier() {
     return `${camelize(this.key)}Id`;
   }
@@ -29,6 +35,53 @@ export default class BelongsTo extends Association {
     return [camelize(this.ownerModelName), this.getForeignKey()];
   }
 
+  /**
+   * The attribute of the associated model that counts its owners, if any.
+   *
+   * @property counterCacheKey
+   * @type {String}
+   * @public
+   */
+  get counterCacheKey() {
+    let { counterCache } = this.opts;
+
+    return counterCache === true ? `${camelize(pluralize(this.ownerModelName))}Count` : counterCache;
+  }
+
+  /**
+   * Recounts the owners that point to the associated model with the given
+   * id, and stores the count on it.
+   *
+   * @method updateCounterCache
+   * @param id
+   * @public
+   */
+  updateCounterCache(id) {
+    let collection = this.schema.db[toInternalCollectionName(this.modelName)];
+
+    if (id !== null && id !== undefined && collection.find(id)) {
+      collection.update(id, { [this.counterCacheKey]: this.countDependentsOf(id) });
+    }
+  }
+
+  /**
+   * Counts the owners that point to the associated model with the given id.
+   * Their foreign keys are indexed, so that keeping a counter cache doesn't
+   * scan all the owners on every save.
+   *
+   * @method countDependentsOf
+   * @param id
+   * @return {Number}
+   * @public
+   */
+  countDependentsOf(id) {
+    let owner = this.ownerModelName;
+    let fk = this.getForeignKey();
+    let records = this.schema._collectionForType(owner).addIndex(fk).where({ [fk]: id });
+
+    return this.schema._scope(owner, records).length;
+  }
+
   /**
    * @method getForeignKey
    * @return {String} Foreign key for the association
@@ -227,33 +280,39 @@ export default class BelongsTo extends Association {
    * @public
   */
   disassociateAllDependentsFromTarget(model) {
+    let dependents = this.dependentsOfTarget(model);
+
+    dependents.models.forEach(dependent => {
+      dependent.disassociate(model, this);
+      dependent.save();
+    });
+  }
+
+  /**
+    Returns the models that own this association and point to the target
+    model.
+
+    @method dependentsOfTarget
+    @param model
+    @return {Collection}
+    @public
+    @hide
+  */
+  dependentsOfTarget(model) {
     let owner = this.ownerModelName;
-    let fk;
+    let fk = this.getForeignKey();
+
+    if (!this.isPolymorphic) {
+      this.schema._collectionForType(owner).addIndex(fk);
 
-    if (this.isPolymorphic) {
-      fk = { type: model.modelName, id: model.id };
-    } else {
-      fk = model.id;
+      return this.schema[toCollectionName(owner)].where({ [fk]: model.id });
     }
 
-    let dependents = this.schema[toCollectionName(owner)]
+    return this.schema[toCollectionName(owner)]
       .where((potentialOwner) => {
-        let id = potentialOwner[this.getForeignKey()];
-
-        if (!id) {
-          return false;
-        }
+        let id = potentialOwner[fk];
 
-        if (typeof id === 'object') {
-          return id.type === fk.type && id.id === fk.id;
-        } else {
-          return id === fk;
-        }
+        return !!id && id.type === model.modelName && id.id === model.id;
       });
-
-    dependents.models.forEach(dependent => {
-      dependent.disassociate(model, this);
-      dependent.save();
-    });
   }
 }
@@ -0,0 +1,176 @@
+import HasMany from './has-many';
+import Collection from '../collection';
+import BelongsTo from './belongs-to';
+import _assign from 'lodash/assign';
+import _compact from 'lodash/compact';
+import _uniq from 'lodash/uniq';
+import _values from 'lodash/values';
+import { toCollectionName, toModelName } from 'ember-cli-mirage/utils/normalize-name';
+import assert from 'ember-cli-mirage/assert';
+
+/**
+ * A hasMany association that reads and writes its models through the
+ * records of a join model, which belongs to both the owner and the
+ * associated models.
+ *
+ * @class HasManyThrough
+ * @extends HasMany
+ * @constructor
+ * @public
+ * @hide
+ */
+export default class HasManyThrough extends HasMany {
+
+  constructor(...args) {
+    super(...args);
+
+    assert(!this.isPolymorphic, 'A hasMany association with the through option can\'t be polymorphic.');
+    assert(!this.isOrdered, 'A hasMany association with the through option can\'t be ordered.');
+  }
+
+  get isThrough() {
+    return true;
+  }
+
+  /**
+    By default, the join models are destroyed along with the owner.
+
+    @hide
+  */
+  get onDelete() {
+    return this.opts.onDelete || 'cascade';
+  }
+
+  get joinModelName() {
+    return toModelName(this.opts.through);
+  }
+
+  /**
+   * Returns the belongsTo associations of the join model that point to the
+   * owner and to the associated models. The one pointing to the associated
+   * models can be named with the `source` option.
+   *
+   * @method getJoinAssociations
+   * @return {Object}
+   * @public
+   */
+  getJoinAssociations() {
+    let joinAssociations = _values(this.schema.associationsFor(this.joinModelName))
+      .filter((association) => association instanceof BelongsTo);
+    let target = this.opts.source
+      ? joinAssociations.filter((association) => association.key === this.opts.source)[0]
+      : joinAssociations.filter((association) => association.modelName === this.modelName)[0];
+    let owner = joinAssociations
+      .filter((association) => association !== target && association.modelName === this.ownerModelName)[0];
+
+    assert(
+      owner && target,
+      `The ${this.ownerModelName}.${this.key} association goes through the ${this.joinModelName} model, which must belong to both a ${this.ownerModelName} and a ${this.modelName}.`
+    );
+
+    return { owner, target };
+  }
+
+  /**
+   * @method joinModelsFor
+   * @param {Model} model
+   * @return {Collection} The join models that belong to the model
+   * @public
+   */
+  joinModelsFor(model) {
+    if (model.isNew()) {
+      return new Collection(this.joinModelName);
+    }
+
+    let { owner } = this.getJoinAssociations();
+
+    return this.schema[toCollectionName(this.joinModelName)]
+      .where({ [owner.getForeignKey()]: model.id });
+  }
+
+  /**
+   * Creates and destroys join models so that the model is associated with
+   * exactly the given models. Join models that are kept keep their
+   * attributes.
+   *
+   * @method updateJoinModels
+   * @param {Model} model
+   * @param {Array} associates
+   * @public
+   */
+  updateJoinModels(model, associates) {
+    let { owner, target } = this.getJoinAssociations();
+    let targetFk = target.getForeignKey();
+    let joinModels = this.joinModelsFor(model).models;
+    let ids = associates.map((associate) => associate.id);
+    let currentIds = joinModels.map((joinModel) => joinModel[targetFk]);
+
+    joinModels
+      .filter((joinModel) => ids.indexOf(joinModel[targetFk]) === -1)
+      .forEach((joinModel) => joinModel.destroy());
+
+    _uniq(ids)
+      .filter((id) => currentIds.indexOf(id) === -1)
+      .forEach((id) => {
+        this.schema[toCollectionName(this.joinModelName)].create({
+          [owner.getForeignKey()]: model.id,
+          [targetFk]: id
+        });
+      });
+  }
+
+  /**
+   * Defines getters and setters for the associated models and their ids.
+   * Unlike a plain hasMany, the ids aren't stored on the owner, and setting
+   * the association only updates the join models when the owner is saved.
+   *
+   * @method addMethodsToModelClass
+   * @param {Function} ModelClass
+   * @param {String} key
+   * @public
+   */
+  addMethodsToModelClass(ModelClass, key) {
+    let modelPrototype = ModelClass.prototype;
+    let association = this;
+    let foreignKey = this.getForeignKey();
+
+    modelPrototype.hasManyAssociations = _assign(modelPrototype.hasManyAssociations, { [key]: this });
+    modelPrototype.associationKeys.push(key);
+    modelPrototype.associationIdKeys.push(foreignKey);
+
+    Object.defineProperty(modelPrototype, foreignKey, {
+      get() {
+        return this[key].models.map((model) => model.id);
+      },
+
+      set(ids) {
+        assert(ids === null || Array.isArray(ids), `You must pass an array in when setting ${foreignKey} on ${this}`);
+
+        this[key] = ids ? association.schema[toCollectionName(association.modelName)].find(ids) : [];
+      }
+    });
+
+    Object.defineProperty(modelPrototype, key, {
+      get() {
+        let tempAssociation = this._tempAssociations && this._tempAssociations[key];
+        if (tempAssociation) {
+          return tempAssociation;
+        }
+
+        let { target } = association.getJoinAssociations();
+        let ids = _uniq(_compact(association.joinModelsFor(this).models.map((joinModel) => joinModel[target.getForeignKey()])));
+
+        return association.schema[toCollectionName(association.modelName)].find(ids);
+      },
+
+      set(models) {
+        if (models instanceof Collection) {
+          models = models.models;
+        }
+
+        this._tempAssociations = this._tempAssociations || {};
+        this._tempAssociations[key] = new Collection(association.modelName, models ? _compact(models) : []);
+      }
+    });
+  }
+}
@@ -4,7 +4,7 @@ import PolymorphicCollection from '../polymorphic-collection';
 import _assign from 'lodash/assign';
 import _compact from 'lodash/compact';
 import { capitalize, camelize, singularize } from 'ember-cli-mirage/utils/inflector';
-import { toCollectionName } from 'ember-cli-mirage/utils/normalize-name';
+import { toCollectionName, toModelName } from 'ember-cli-mirage/utils/normalize-name';
 import assert from 'ember-cli-mirage/assert';
 
 /**
@@ -20,6 +20,18 @@ export default class HasMany extends Association {
     return `${camelize(singularize(this.key))}Ids`;
   }
 
+  /**
+   * Whether the associated models keep the order they're stored in, and can
+   * be moved and inserted at a position.
+   *
+   * @property isOrdered
+   * @type {Boolean}
+   * @public
+   */
+  get isOrdered() {
+    return !!this.opts.ordered;
+  }
+
   /**
    * @method getForeignKeyArray
    * @return {Array} Array of camelized model name of associated objects
@@ -83,7 +95,7 @@ export default class HasMany extends Association {
             ids = tempChildren.models.map(model => model.id);
           }
         } else {
-          ids = this.attrs[foreignKey] || [];
+          ids = association.withoutDeletedIds(this.attrs[foreignKey] || []);
         }
 
         return ids;
@@ -241,6 +253,90 @@ export default class HasMany extends Association {
 
       return child.reload();
     };
+
+    if (this.isOrdered) {
+      /*
+        object.moveChild(from, to)
+          - moves the associated child at one position to another, and persists the owner
+      */
+      modelPrototype[`move${capitalize(camelize(singularize(association.key)))}`] = function(from, to) {
+        let children = this[key].models;
+
+        assert(
+          [from, to].every((index) => index >= 0 && index < children.length),
+          `You can't move a ${singularize(key)} of ${this} from position ${from} to ${to}, because it has ${children.length}.`
+        );
+
+        children.splice(to, 0, children.splice(from, 1)[0]);
+        this[key] = children;
+
+        this.save();
+
+        return this;
+      };
+
+      /*
+        object.insertChildAt(index, child)
+          - associates the child at the given position, moving it there if it's already associated,
+            and persists both models
+      */
+      modelPrototype[`insert${capitalize(camelize(singularize(association.key)))}At`] = function(index, child) {
+        let children = this[key].models
+          .filter((model) => model !== child && !(model.isSaved() && child.isSaved() && model.equals(child)));
+
+        assert(
+          index >= 0 && index <= children.length,
+          `You can't insert a ${singularize(key)} into ${this} at position ${index}, because it has ${children.length}.`
+        );
+
+        children.splice(index, 0, child);
+        this[key] = children;
+
+        this.save();
+
+        return child.reload();
+      };
+    }
+  }
+
+  /**
+   * Removes the ids of soft-deleted models from the foreign key `ids`. They
+   * are only left out when reading, so that restoring a model brings back its
+   * relationships too.
+   *
+   * @method withoutDeletedIds
+   * @param {Array} ids
+   * @return {Array}
+   * @public
+   */
+  withoutDeletedIds(ids) {
+    return ids.filter((id) => !this._isDeletedId(id));
+  }
+
+  /**
+   * Adds the ids of soft-deleted models in `storedIds` back into the foreign
+   * key `ids`, at the positions they were stored at. Models read through the
+   * association leave them out, so saving the owner must not drop them.
+   *
+   * @method withDeletedIds
+   * @param {Array} ids
+   * @param {Array} storedIds
+   * @return {Array}
+   * @public
+   */
+  withDeletedIds(ids, storedIds) {
+    let isSameId = (id, other) => this.isPolymorphic ? id.type === other.type && id.id === other.id : id === other;
+
+    return (storedIds || []).reduce((allIds, storedId, index) => {
+      if (this._isDeletedId(storedId) && !allIds.some((id) => isSameId(id, storedId))) {
+        allIds.splice(Math.min(index, allIds.length), 0, storedId);
+      }
+      return allIds;
+    }, ids.slice());
+  }
+
+  _isDeletedId(id) {
+    return this.isPolymorphic ? this.schema._isDeleted(toModelName(id.type), id.id) : this.schema._isDeleted(this.modelName, id);
   }
 
   /**
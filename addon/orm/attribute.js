@@ -0,0 +1,112 @@
+import assert from '../assert';
+
+const TRUE_STRINGS = ['true', 't', '1'];
+
+const TRANSFORMS = {
+  string(value) {
+    return `${value}`;
+  },
+
+  number(value) {
+    if (value === '') {
+      return null;
+    }
+
+    let number = Number(value);
+
+    return isNaN(number) ? null : number;
+  },
+
+  boolean(value) {
+    if (typeof value === 'string') {
+      return TRUE_STRINGS.indexOf(value.toLowerCase()) > -1;
+    }
+    if (typeof value === 'number') {
+      return value === 1;
+    }
+
+    return !!value;
+  },
+
+  date(value) {
+    let date = value instanceof Date ? value : new Date(value);
+
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+};
+
+/**
+  To declare the type of an attribute, use the `attr` helper:
+
+  ```js
+  // mirage/models/blog-post.js
+  import { Model, attr } from 'ember-cli-mirage';
+
+  export default Model.extend({
+    title: attr('string'),
+    wordCount: attr('number', { defaultValue: 0 }),
+    isPublished: attr('boolean', { defaultValue: false }),
+    publishedAt: attr('date'),
+    tags: attr({ defaultValue: () => [] })
+  });
+  ```
+
+  Typed attributes are coerced whenever they're set, whether a model is created, updated or normalized from a request, and serializers emit them in the same format:
+
+  - `string` values are converted to strings
+  - `number` values are converted to numbers, or `null` if they're not numeric
+  - `boolean` values are converted to booleans. The strings `'true'`, `'t'` and `'1'`, and the number `1`, are `true`
+  - `date` values, whether they're `Date` objects, timestamps or date strings, are stored as ISO 8601 strings, or `null` if they're not a valid date
+
+  `null` and `undefined` are stored as `null`. Attributes declared without a type aren't coerced.
+
+  The `defaultValue` is used when a model is created without the attribute. Pass a function to return a new object for each model.
+
+  @class Attribute
+  @constructor
+  @public
+*/
+export default class Attribute {
+
+  constructor(type, opts) {
+    if (typeof type === 'object') {
+      opts = type;
+      type = undefined;
+    }
+
+    assert(
+      !type || TRANSFORMS[type],
+      `'${type}' is not a valid attribute type. Use 'string', 'number', 'boolean' or 'date'.`
+    );
+
+    this.type = type;
+    this.opts = opts || {};
+    this.key = undefined;
+  }
+
+  /**
+    @method coerce
+    @param value
+    @public
+    @hide
+  */
+  coerce(value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+
+    return this.type ? TRANSFORMS[this.type](value) : value;
+  }
+
+  /**
+    @method getDefaultValue
+    @public
+    @hide
+  */
+  getDefaultValue() {
+    let { defaultValue } = this.opts;
+    let value = typeof defaultValue === 'function' ? defaultValue() : defaultValue;
+
+    return this.coerce(value);
+  }
+}
@@ -5,9 +5,14 @@ import extend from '../utils/extend';
 import assert from '../assert';
 import Collection from './collection';
 import PolymorphicCollection from './polymorphic-collection';
+import validate from './validations';
+import { DeleteRestrictionError } from '../errors';
 import _values from 'lodash/values';
 import _compact from 'lodash/compact';
 import _assign from 'lodash/assign';
+import _flatten from 'lodash/flatten';
+import _partition from 'lodash/partition';
+import _isEqual from 'lodash/isEqual';
 
 /**
   Models wrap your database and allow you to define relationships.
@@ -66,6 +71,66 @@ import _assign from 'lodash/assign';
   user.posts  // returns an empty Posts Collection
   ```
 
+  **Validations**
+
+  Models can declare validations for their attributes and relationships. A model that fails them isn't written to the db when it's saved:
+
+  ```js
+  // mirage/models/user.js
+  import { Model } from 'ember-cli-mirage';
+
+  export default Model.extend({
+    validations: {
+      name: { presence: true, length: { minimum: 2, maximum: 50 } },
+      email: { format: /@/, uniqueness: true },
+      role: { inclusion: ['admin', 'member'] }
+    }
+  });
+  ```
+
+  The available validations are `presence`, `format` (a regular expression, or `{ with }`), `length` (`{ minimum, maximum, is }`), `uniqueness` (optionally `{ scope }` with a key or list of keys) and `inclusion` (a list, or `{ in }`). Each one also takes a custom `message`. Apart from `presence`, they skip null and undefined values.
+
+  **Soft deletes**
+
+  Set `paranoid: true` to soft-delete the model's records. Destroying one sets its `deletedAt` instead of removing it from the db, and the schema's query methods leave it out:
+
+  ```js
+  post.destroy();
+  post.isDeleted();                          // true
+  schema.blogPosts.find(post.id);            // null
+  schema.blogPosts.withDeleted().find(post.id).restore();
+  ```
+
+  **Timestamps**
+
+  Set `timestamps: true` to have `save` and `update` maintain the model's `createdAt` and `updatedAt` as ISO 8601 strings, using the schema's `clock`:
+
+  ```js
+  export default Model.extend({
+    timestamps: true
+  });
+  ```
+
+  To add timestamps to all models, set the schema's `timestamps` property instead. A model can still opt out with `timestamps: false`.
+
+  **Single-table inheritance**
+
+  Set `inheritance: true` on a model to have the registered models that extend it share its db collection. They store their model name under `type`, unless it was given:
+
+  ```js
+  // mirage/models/vehicle.js
+  export default Model.extend({
+    inheritance: true
+  });
+
+  // mirage/models/car.js
+  import Vehicle from './vehicle';
+
+  export default Vehicle.extend();
+  ```
+
+  Cars are stored in `db.vehicles`. `schema.vehicles` returns vehicles, cars and the models of any other subtype, as instances of their own models, while `schema.cars` only returns cars and the models extending them. Subtypes inherit the associations of their base model, and associations to the base model accept any of its subtypes.
+
   @class Model
   @constructor
   @public
@@ -105,6 +170,27 @@ class Model {
 
     attrs = attrs || {};
 
+    /**
+      Returns the errors of the model's last validation, as a hash of keys to
+      lists of messages. Only models that declare validations have it, so
+      other models can still have an `errors` attribute.
+
+      ```js
+      let post = schema.blogPosts.create({ title: '' });
+      post.errors; // { title: ["can't be blank"] }
+      ```
+
+      @property errors
+      @public
+    */
+    if (this.validations) {
+      assert(
+        !attrs.hasOwnProperty('errors') && !(this.attrDefinitions && this.attrDefinitions.errors),
+        `The ${this.modelName} model declares validations, so it can't have an 'errors' attribute: \`errors\` holds its validation errors.`
+      );
+      this.errors = {};
+    }
+
     this._setupAttrs(attrs);
     this._setupRelationships(attrs);
 
@@ -125,28 +211,64 @@ class Model {
     post.save();                  // ...now the db is updated
     ```
 
+    If the model is invalid, the db is left untouched and its `errors` are populated instead.
+
+    If the model has timestamps, saving it sets its `createdAt` and `updatedAt`. A new model keeps the timestamps it was given, so factories can still set them. When a model is only saved because a related model was, e.g. to add a new child to its foreign keys, `updatedAt` is left alone unless one of its other attributes changed.
+
+    Saving a model runs its `beforeSave` hook, then its `beforeCreate` hook if it's new. If the model is valid and was new, its `afterCreate` hook runs once it's in the db.
+
     @method save
     @return this
     @public
    */
   save() {
-    let collection = toInternalCollectionName(this.modelName);
+    let isNew = this.isNew();
 
-    if (this.isNew()) {
-      // Update the attrs with the db response
-      this.attrs = this._schema.db[collection].insert(this.attrs);
+    this.beforeSave(this._schema);
+    if (isNew) {
+      this.beforeCreate(this._schema);
+    }
 
-      // Ensure the id getter/setter is set
-      this._definePlainAttribute('id');
+    if (this.validations && !this.isValid()) {
+      return this;
+    }
 
-    } else {
-      this._schema.isSaving[this.toString()] = true;
-      this._schema.db[collection].update(this.attrs.id, this.attrs);
+    let collection = toInternalCollectionName(this.modelName);
+    let previousRecord = isNew ? null : this._schema.db[collection].find(this.attrs.id);
+
+    if (this._hasTimestamps()) {
+      this._touch(isNew, this._schema._saveDepth === 0 || this._hasChangedAttrs(previousRecord));
     }
 
-    this._saveAssociations();
+    this._schema._saveDepth++;
+    try {
+      this._assignCounterCaches(isNew);
+
+      if (isNew) {
+        // Update the attrs with the db response
+        this.attrs = this._schema.db[collection].insert(this.attrs);
+
+        // Ensure the id getter/setter is set
+        this._definePlainAttribute('id');
+
+      } else {
+        this._schema.isSaving[this.toString()] = true;
+        this._schema.db[collection].update(this.attrs.id, this.attrs);
+      }
+
+      this._saveAssociations();
+      this._updateCounterCaches(previousRecord);
+      this._assignCounterCaches(false);
+    } finally {
+      this._schema._saveDepth--;
+    }
 
     this._schema.isSaving[this.toString()] = false;
+
+    if (isNew) {
+      this.afterCreate(this._schema);
+    }
+
     return this;
   }
 
@@ -200,18 +322,142 @@ class Model {
     post.destroy(); // removed from the db
     ```
 
+    The related models are nullified, destroyed or protect the model from being destroyed according to the `onDelete` option of their associations.
+
+    Models of a paranoid model class are soft-deleted instead: their `deletedAt` is set to the schema's clock time, and they keep their relationships so they can be restored.
+
     @method destroy
     @public
    */
   destroy() {
-    if (this.isSaved()) {
-      this._disassociateFromDependents();
+    if (this.isSaved() && !this._schema.isDestroying[this.toString()]) {
+      let collection = toInternalCollectionName(this.modelName);
+      let previousRecord = this._schema.db[collection].find(this.attrs.id);
+
+      this._assertDestroyIsNotRestricted();
+
+      this._schema.isDestroying[this.toString()] = true;
+      this._dependentsFor('cascade').forEach((dependent) => dependent.destroy());
+      this._schema.isDestroying[this.toString()] = false;
+
+      if (this.paranoid) {
+        this._definePlainAttribute('deletedAt');
+        this.deletedAt = new Date(this._schema.clock()).toISOString();
+        this._schema.db[collection].update(this.attrs.id, { deletedAt: this.deletedAt });
+
+      } else {
+        this._disassociateFromDependents();
+        this._schema.db[collection].remove(this.attrs.id);
+      }
+
+      this._updateCounterCaches(previousRecord);
+      this.afterDestroy(this._schema);
+    }
+  }
+
+  /**
+    Restores a soft-deleted model of a paranoid model class.
 
+    ```js
+    let post = schema.blogPosts.withDeleted().find(1);
+    post.restore();
+    schema.blogPosts.find(1); // post:1
+    ```
+
+    @method restore
+    @return this
+    @public
+   */
+  restore() {
+    if (this.isDeleted()) {
       let collection = toInternalCollectionName(this.modelName);
-      this._schema.db[collection].remove(this.attrs.id);
+
+      this.deletedAt = null;
+      this._schema.db[collection].update(this.attrs.id, { deletedAt: null });
+      this._updateCounterCaches();
     }
+
+    return this;
   }
 
+  /**
+    Boolean, true if the model was soft-deleted.
+
+    @method isDeleted
+    @return {Boolean}
+    @public
+   */
+  isDeleted() {
+    return !!this.attrs.deletedAt;
+  }
+
+  /**
+    A hook that runs every time the model is saved, before it's validated and
+    written to the db. It runs for new models, updates, and models created by
+    shorthands, `schema.create` or `server.create`.
+
+    ```js
+    // mirage/models/post.js
+    import { Model, attr } from 'ember-cli-mirage';
+    import { dasherize } from '@ember/string';
+
+    export default Model.extend({
+      slug: attr('string'),
+
+      beforeSave() {
+        this.slug = dasherize(this.title);
+      }
+    });
+    ```
+
+    Each hook receives the schema. Throw a `ValidationError` from a hook to reject the request of a route handler.
+
+    @method beforeSave
+    @param {Schema} schema
+    @public
+   */
+  beforeSave() {}
+
+  /**
+    A hook that runs before a new model is validated and inserted into the db,
+    right after `beforeSave`.
+
+    @method beforeCreate
+    @param {Schema} schema
+    @public
+   */
+  beforeCreate() {}
+
+  /**
+    A hook that runs after a new model is inserted into the db, and its
+    associations are saved.
+
+    ```js
+    // mirage/models/post.js
+    import { Model } from 'ember-cli-mirage';
+
+    export default Model.extend({
+      afterCreate(schema) {
+        schema.activities.create({ action: 'created', postId: this.id });
+      }
+    });
+    ```
+
+    @method afterCreate
+    @param {Schema} schema
+    @public
+   */
+  afterCreate() {}
+
+  /**
+    A hook that runs after the model is removed from the db.
+
+    @method afterDestroy
+    @param {Schema} schema
+    @public
+   */
+  afterDestroy() {}
+
   /**
     Boolean, true if the model has not been persisted yet to the db.
 
@@ -245,6 +491,30 @@ class Model {
     return !hasDbRecord;
   }
 
+  /**
+    Runs the model's validations, populates its `errors` and returns whether
+    it's valid.
+
+    ```js
+    let post = blogPosts.new({ title: '' });
+    post.isValid(); // false
+    post.errors;    // { title: ["can't be blank"] }
+    ```
+
+    @method isValid
+    @return {Boolean}
+    @public
+   */
+  isValid() {
+    let errors = validate(this);
+
+    if (this.validations) {
+      this.errors = errors;
+    }
+
+    return Object.keys(errors).length === 0;
+  }
+
   /**
     Boolean, opposite of `isNew`
 
@@ -368,7 +638,7 @@ class Model {
     let inverse = association.opts.inverse;
     let candidate = inverse ? associations[inverse] : null;
     let matchingPolymorphic = candidate && candidate.isPolymorphic;
-    let matchingInverse = candidate && candidate.modelName === association.ownerModelName;
+    let matchingInverse = candidate && this._schema.isKindOf(association.ownerModelName, candidate.modelName);
     let candidateInverse = candidate && candidate.opts.inverse;
 
     if (candidateInverse && candidate.opts.inverse !== association.key) {
@@ -394,7 +664,7 @@ class Model {
     let associations = this._schema.associationsFor(this.modelName);
     let matchingExplicitInverses = Object.keys(associations).filter(key => {
       let candidate = associations[key];
-      let modelMatches = association.ownerModelName === candidate.modelName;
+      let modelMatches = this._schema.isKindOf(association.ownerModelName, candidate.modelName);
       let inverseKeyMatches = association.key === candidate.opts.inverse;
 
       return modelMatches && inverseKeyMatches;
@@ -417,7 +687,7 @@ class Model {
     let modelName = association.ownerModelName;
 
     return _values(associations)
-      .filter(candidate => candidate.modelName === modelName)
+      .filter(candidate => this._schema.isKindOf(modelName, candidate.modelName) && !candidate.isThrough)
       .reduce((inverse, candidate) => {
         let candidateInverse = candidate.opts.inverse;
         let candidateIsImplicitInverse = candidateInverse === undefined;
@@ -537,6 +807,18 @@ class Model {
       return memo;
     }, {});
 
+    // Coerce declared attributes, and fall back to their defaults
+    let attrDefinitions = this.attrDefinitions || {};
+    Object.keys(attrDefinitions).forEach((key) => {
+      let attribute = attrDefinitions[key];
+      hash[key] = hash.hasOwnProperty(key) ? attribute.coerce(hash[key]) : attribute.getDefaultValue();
+    });
+
+    // Models sharing a collection store their model name
+    if (this.usesInheritance && (hash.type === undefined || hash.type === null)) {
+      hash.type = this.modelName;
+    }
+
     // Ensure fks are there
     this.fks.map(function(fk) {
       hash[fk] = attrs[fk] !== undefined ? attrs[fk] : null;
@@ -552,6 +834,109 @@ class Model {
     }, this);
   }
 
+  /**
+    Sets the counter cache attributes that belongsTo associations pointing to
+    this model keep from the db, so that saving the model doesn't overwrite
+    them with stale counts.
+
+    @method _assignCounterCaches
+    @param {Boolean} isNew
+    @private
+    @hide
+   */
+  _assignCounterCaches(isNew) {
+    this._schema.dependentAssociationsFor(this.modelName)
+      .filter((association) => association instanceof BelongsTo && association.counterCacheKey)
+      .forEach((association) => {
+        let key = association.counterCacheKey;
+
+        this._definePlainAttribute(key);
+        this.attrs[key] = isNew ? 0 : association.countDependentsOf(this.id);
+      });
+  }
+
+  /**
+    Updates the counter caches of the models this model belonged to before it
+    was saved or destroyed, and of the ones it belongs to now.
+
+    @method _updateCounterCaches
+    @param {Object} previousRecord
+    @private
+    @hide
+   */
+  _updateCounterCaches(previousRecord) {
+    let associations = _values(this.belongsToAssociations).filter((association) => association.counterCacheKey);
+    let record = associations.length && this._schema.db[toInternalCollectionName(this.modelName)].find(this.attrs.id);
+
+    associations.forEach((association) => {
+      let fk = association.getForeignKey();
+      let previousId = previousRecord && previousRecord[fk];
+      let id = record && record[fk];
+
+      if (previousId !== id) {
+        association.updateCounterCache(previousId);
+      }
+      association.updateCounterCache(id);
+    });
+  }
+
+  /**
+    Whether the model maintains timestamps, either because its class or the
+    schema opted in.
+
+    @method _hasTimestamps
+    @private
+    @hide
+   */
+  _hasTimestamps() {
+    return this.timestamps === undefined ? this._schema.timestamps : this.timestamps;
+  }
+
+  /**
+    Sets the timestamps to the schema's clock time. An existing model's
+    `updatedAt` is only set if `isChanged`.
+
+    @method _touch
+    @param isNew
+    @param isChanged
+    @private
+    @hide
+   */
+  _touch(isNew, isChanged) {
+    let now = new Date(this._schema.clock()).toISOString();
+
+    this._definePlainAttribute('createdAt');
+    this._definePlainAttribute('updatedAt');
+
+    if (isNew && !this.createdAt) {
+      this.createdAt = now;
+    }
+    if (isNew ? !this.updatedAt : isChanged) {
+      this.updatedAt = now;
+    }
+  }
+
+  /**
+    Whether an attribute differs from the given db record, leaving out the
+    timestamps, and the foreign keys and counter caches, which change when
+    related models are saved.
+
+    @method _hasChangedAttrs
+    @param record
+    @private
+    @hide
+   */
+  _hasChangedAttrs(record) {
+    let counterCacheKeys = this._schema.dependentAssociationsFor(this.modelName)
+      .filter((association) => association instanceof BelongsTo && association.counterCacheKey)
+      .map((association) => association.counterCacheKey);
+    let ignoredKeys = ['createdAt', 'updatedAt'].concat(this.associationIdKeys, this.fks, counterCacheKeys);
+
+    return Object.keys(_assign({}, record, this.attrs))
+      .filter(key => ignoredKeys.indexOf(key) === -1)
+      .some(key => !_isEqual(this.attrs[key], record[key]));
+  }
+
   /**
     Define getter/setter for a plain attribute
     @method _definePlainAttribute
@@ -573,12 +958,13 @@ class Model {
     }
 
     // Define the getter/setter
+    let attribute = this.attrDefinitions && this.attrDefinitions[attr];
     Object.defineProperty(this, attr, {
       get() {
         return this.attrs[attr];
       },
       set(val) {
-        this.attrs[attr] = val;
+        this.attrs[attr] = attribute ? attribute.coerce(val) : val;
         return this;
       }
     });
@@ -603,13 +989,22 @@ class Model {
       return memo;
     }, {});
 
+    let throughForeignKeys = _values(this.hasManyAssociations)
+      .filter((association) => association.isThrough)
+      .map((association) => association.getForeignKey());
+
     Object.keys(foreignKeysHash).forEach(function(attr) {
       let fk = foreignKeysHash[attr];
       if (fk !== undefined && fk !== null) {
         this._validateForeignKeyExistsInDatabase(attr, fk);
       }
 
-      this.attrs[attr] = fk;
+      // Join models are only updated when the model is saved
+      if (throughForeignKeys.indexOf(attr) > -1) {
+        this[attr] = fk;
+      } else {
+        this.attrs[attr] = fk;
+      }
     }, this);
 
     let associationKeysHash = Object.keys(attrs).reduce((memo, attr) => {
@@ -743,11 +1138,38 @@ class Model {
   }
 
   _saveHasManyAssociations() {
-    _values(this.hasManyAssociations).forEach(association => {
+    let [throughAssociations, associations] = _partition(_values(this.hasManyAssociations), 'isThrough');
+
+    associations.forEach(association => {
       this._disassociateFromOldInverses(association);
       this._saveNewAssociates(association);
       this._associateWithNewInverses(association);
     });
+
+    throughAssociations.forEach(association => {
+      this._saveJoinModels(association);
+    });
+  }
+
+  /*
+    Saves the new associates of an association through a join model, and
+    updates the join models. Creating or destroying join models can change
+    this model's associations to them in the db, so its attrs are reloaded.
+  */
+  _saveJoinModels(association) {
+    let tempAssociation = this._tempAssociations && this._tempAssociations[association.key];
+
+    if (tempAssociation) {
+      delete this._tempAssociations[association.key];
+
+      tempAssociation.models
+        .filter(model => !model.isSaving)
+        .forEach(model => model.save());
+
+      association.updateJoinModels(this, tempAssociation.models);
+
+      _assign(this.attrs, this._schema.db[toInternalCollectionName(this.modelName)].find(this.id));
+    }
   }
 
   _disassociateFromOldInverses(association) {
@@ -815,7 +1237,12 @@ class Model {
     let tempAssociation = this._tempAssociations && this._tempAssociations[key];
     let associateId = this.attrs[fk];
 
-    if ((tempAssociation !== undefined) && associateId) {
+    // Reassigning the same associate keeps this model's position in its inverse
+    let isSameAssociate = associateId && tempAssociation && tempAssociation.isSaved() && (association.isPolymorphic
+      ? tempAssociation.modelName === associateId.type && tempAssociation.id === associateId.id
+      : tempAssociation.id === associateId);
+
+    if ((tempAssociation !== undefined) && associateId && !isSameAssociate) {
       let associate;
       if (association.isPolymorphic) {
         associate = this._schema[toCollectionName(associateId.type)]
@@ -834,6 +1261,42 @@ class Model {
     }
   }
 
+  /*
+    Returns the models affected by the onDelete action when this model is
+    destroyed: the models of its own hasMany associations (or their join
+    models), and the owners of belongsTo associations that point to it.
+  */
+  _dependentsFor(onDelete) {
+    let children = _values(this.hasManyAssociations)
+      .filter((association) => association.onDelete === onDelete)
+      .map((association) => association.isThrough ? association.joinModelsFor(this).models : this[association.key].models);
+
+    let owners = this._schema.dependentAssociationsFor(this.modelName)
+      .filter((association) => association instanceof BelongsTo && association.onDelete === onDelete)
+      .map((association) => association.dependentsOfTarget(this).models);
+
+    return _flatten(children.concat(owners));
+  }
+
+  /*
+    Throws if this model, or one of the models it would destroy in cascade,
+    has restricted dependents. This way nothing is destroyed.
+  */
+  _assertDestroyIsNotRestricted(checked = {}) {
+    checked[this.toString()] = true;
+
+    let restricted = this._dependentsFor('restrict');
+    if (restricted.length) {
+      throw new DeleteRestrictionError(
+        `The ${this.modelName} with id ${this.id} can't be destroyed, because it has dependent ${restricted.map(model => model.toString()).join(', ')}.`
+      );
+    }
+
+    this._dependentsFor('cascade')
+      .filter((dependent) => !checked[dependent.toString()])
+      .forEach((dependent) => dependent._assertDestroyIsNotRestricted(checked));
+  }
+
   // Find all other models that depend on me and update their foreign keys
   _disassociateFromDependents() {
     this._schema.dependentAssociationsFor(this.modelName)
@@ -858,7 +1321,7 @@ class Model {
             child.save();
           });
 
-        this._updateInDb({ [fk]: tempAssociate.models.map(child => child.id) });
+        this._updateInDb({ [fk]: association.withDeletedIds(tempAssociate.models.map(child => child.id), this.attrs[fk]) });
 
       } else if (tempAssociate instanceof PolymorphicCollection) {
         tempAssociate.models
@@ -868,9 +1331,9 @@ class Model {
           });
 
         this._updateInDb({
-          [fk]: tempAssociate.models.map(child => {
+          [fk]: association.withDeletedIds(tempAssociate.models.map(child => {
             return { type: child.modelName, id: child.id };
-          })
+          }), this.attrs[fk])
         });
 
       } else {
@@ -951,7 +1414,15 @@ class Model {
         } else {
           newId = ownerId;
         }
-        this._schema.db[toInternalCollectionName(model.modelName)].update(model.id, { [inverseFk]: newId });
+        let inverseCollection = this._schema.db[toInternalCollectionName(model.modelName)];
+        let previousId = inverseCollection.find(model.id)[inverseFk];
+
+        inverseCollection.update(model.id, { [inverseFk]: newId });
+
+        if (inverse.counterCacheKey) {
+          inverse.updateCounterCache(previousId);
+          inverse.updateCounterCache(newId);
+        }
       } else {
         let inverseCollection = this._schema.db[toInternalCollectionName(model.modelName)];
         let currentIdsForInverse = inverseCollection.find(model.id)[inverse.getForeignKey()] || [];
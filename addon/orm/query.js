@@ -0,0 +1,279 @@
+import BelongsTo from './associations/belongs-to';
+import Model from './model';
+import { sort, valuesForPath } from '../utils/filter-and-sort';
+import { toInternalCollectionName } from 'ember-cli-mirage/utils/normalize-name';
+import assert from '../assert';
+import _assign from 'lodash/assign';
+import _flatten from 'lodash/flatten';
+
+/**
+  A lazy query for the models of one type, returned by the `query` method of the schema's collections:
+
+  ```js
+  schema.blogPosts.query()
+    .where({ published: true })
+    .orderBy('-createdAt')
+    .limit(10)
+    .offset(20)
+    .include('author')
+    .all();
+  ```
+
+  Each method returns a new query, so a query can be reused. Nothing is read from the db until `all`, `first` or `count` is called.
+
+  Conditions on the model's own attributes are passed to the db collection's `where`, and ordering, limits and offsets are applied to the db records, so only the models that are returned are instantiated. Conditions and orderings with dot-separated paths through associations are applied to the models instead.
+
+  @class Query
+  @constructor
+  @public
+*/
+export default class Query {
+
+  constructor(schema, modelName, state = {}) {
+    this.schema = schema;
+    this.modelName = modelName;
+
+    this._state = _assign({
+      attrs: {},
+      functions: [],
+      paths: {},
+      modelConditions: [],
+      orderKeys: [],
+      limit: undefined,
+      offset: 0,
+      includes: [],
+      withDeleted: false
+    }, state);
+  }
+
+  /**
+    Adds conditions to the query. Conditions from several calls must all match.
+
+    Pass a hash of attributes, which are compared as strings or with the operators of `DbCollection#where`, or a function, which receives each db record:
+
+    ```js
+    query.where({ published: true, wordCount: { gt: 100 } }).where((post) => !post.title.includes('draft'));
+    ```
+
+    A belongsTo or hasMany key matches the models associated with the given model, and a dot-separated path matches the values found by following it through the associations:
+
+    ```js
+    query.where({ author: link });
+    query.where({ 'author.name': 'Link' });
+    ```
+
+    @method where
+    @param {Object|Function} conditions
+    @return {Query}
+    @public
+  */
+  where(conditions) {
+    if (typeof conditions === 'function') {
+      return this._with({ functions: this._state.functions.concat(conditions) });
+    }
+
+    let associations = this.schema.associationsFor(this.modelName);
+    let attrs = _assign({}, this._state.attrs);
+    let paths = _assign({}, this._state.paths);
+    let { functions, modelConditions } = this._state;
+
+    Object.keys(conditions).forEach((key) => {
+      let value = conditions[key];
+      let association = associations[key];
+
+      if (association) {
+        assert(
+          value === null || value instanceof Model,
+          `You must pass a model or null to match the ${key} association of ${this.modelName} models.`
+        );
+
+        if (association.isThrough) {
+          modelConditions = modelConditions.concat((model) => (value ? model[key].includes(value) : model[key].length === 0));
+        } else {
+          functions = functions.concat(this._conditionForAssociation(association, value));
+        }
+      } else if (associations[key.split('.')[0]]) {
+        paths[key] = value;
+      } else {
+        attrs[key] = value;
+      }
+    });
+
+    return this._with({ attrs, paths, functions, modelConditions });
+  }
+
+  /**
+    Orders the models by one or more attributes, or dot-separated paths through associations. Keys prefixed with `-` are sorted in descending order.
+
+    ```js
+    query.orderBy('-createdAt', 'author.name');
+    ```
+
+    @method orderBy
+    @param {String} ...keys
+    @return {Query}
+    @public
+  */
+  orderBy(...keys) {
+    return this._with({ orderKeys: _flatten(keys) });
+  }
+
+  /**
+    Returns at most `limit` models.
+
+    @method limit
+    @param {Number} limit
+    @return {Query}
+    @public
+  */
+  limit(limit) {
+    return this._with({ limit });
+  }
+
+  /**
+    Skips the first `offset` matching models.
+
+    @method offset
+    @param {Number} offset
+    @return {Query}
+    @public
+  */
+  offset(offset) {
+    return this._with({ offset });
+  }
+
+  /**
+    Includes the models of the given relationships when the returned collection is serialized, as if the request had an `include` query param. The JSON:API serializer accepts dot-separated paths. A request's own `include` query param takes precedence.
+
+    ```js
+    query.include('author', 'comments');
+    ```
+
+    @method include
+    @param {String} ...paths
+    @return {Query}
+    @public
+  */
+  include(...paths) {
+    return this._with({ includes: this._state.includes.concat(_flatten(paths)) });
+  }
+
+  /**
+    Runs the query, and returns a collection of the matching models.
+
+    @method all
+    @return {Collection}
+    @public
+  */
+  all() {
+    let { orderKeys, offset, limit, includes } = this._state;
+    let end = limit === undefined ? undefined : offset + limit;
+    let collection;
+
+    if (this._isAssociationAware()) {
+      collection = sort(this._filterModels(this._hydrate(this._records())), orderKeys).slice(offset, end);
+    } else {
+      collection = this._hydrate(sort(this._records(), orderKeys).slice(offset, end));
+    }
+
+    collection.includePaths = includes;
+
+    return collection;
+  }
+
+  /**
+    Runs the query, and returns the first matching model, or `null`.
+
+    @method first
+    @return {Model}
+    @public
+  */
+  first() {
+    return this.limit(1).all().models[0] || null;
+  }
+
+  /**
+    Returns the number of matching models, regardless of the limit and offset.
+
+    @method count
+    @return {Number}
+    @public
+  */
+  count() {
+    let records = this._records();
+
+    return this._isAssociationAware() ? this._filterModels(this._hydrate(records)).length : records.length;
+  }
+
+  // Private
+
+  _with(state) {
+    return new Query(this.schema, this.modelName, _assign({}, this._state, state));
+  }
+
+  /*
+    Whether the query has to instantiate the models of all the matching
+    records, to follow their associations.
+  */
+  _isAssociationAware() {
+    let { paths, modelConditions, orderKeys } = this._state;
+    let associations = this.schema.associationsFor(this.modelName);
+    let isPath = (key) => key.indexOf('.') > -1 && associations[key.replace(/^-/, '').split('.')[0]];
+
+    return Object.keys(paths).length > 0 || modelConditions.length > 0 || orderKeys.some(isPath);
+  }
+
+  /*
+    Returns the db records that match the attribute and function conditions.
+  */
+  _records() {
+    let { attrs, functions, withDeleted } = this._state;
+    let collection = this.schema.db[toInternalCollectionName(this.schema.baseModelNameFor(this.modelName))];
+    let scope = () => this.schema._scope(this.modelName, collection.where(attrs));
+    let records = withDeleted ? this.schema._includingDeleted(scope) : scope();
+
+    return functions.reduce((records, condition) => records.filter(condition), records);
+  }
+
+  _filterModels(collection) {
+    let { paths, modelConditions } = this._state;
+
+    return collection.filter((model) => {
+      let matchesPaths = Object.keys(paths).every((path) => {
+        return valuesForPath(model, path).some((value) => String(value) === String(paths[path]));
+      });
+
+      return matchesPaths && modelConditions.every((condition) => condition(model));
+    });
+  }
+
+  _conditionForAssociation(association, model) {
+    let fk = association.getForeignKey();
+
+    if (association instanceof BelongsTo) {
+      return (record) => {
+        let id = record[fk];
+
+        if (!model || !id) {
+          return !model && !id;
+        }
+
+        return association.isPolymorphic ? (id.type === model.modelName && id.id === model.id) : id === model.id;
+      };
+    }
+
+    return (record) => {
+      let ids = record[fk] || [];
+
+      if (!model) {
+        return ids.length === 0;
+      }
+
+      return ids.some((id) => (association.isPolymorphic ? (id.type === model.modelName && id.id === model.id) : id === model.id));
+    };
+  }
+
+  _hydrate(records) {
+    return this.schema._hydrate(records, this.modelName);
+  }
+}
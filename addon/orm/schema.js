@@ -1,7 +1,10 @@
 import { pluralize, camelize, dasherize } from '../utils/inflector';
 import { toCollectionName, toModelName } from 'ember-cli-mirage/utils/normalize-name';
 import Association from './associations/association';
+import Attribute from './attribute';
 import Collection from './collection';
+import Model from './model';
+import Query from './query';
 import _assign from 'lodash/assign';
 import _forIn from 'lodash/forIn';
 import _includes from 'lodash/includes';
@@ -43,10 +46,44 @@ export default class Schema {
       @public
     */
     this.db = db;
+
+    /**
+      Set to `true` to maintain `createdAt` and `updatedAt` timestamps on all models. Models can opt in or out with their own `timestamps` property.
+
+      ```js
+      // mirage/config.js
+      export default function() {
+        this.schema.timestamps = true;
+      }
+      ```
+
+      @property timestamps
+      @type {Boolean}
+      @public
+    */
+    this.timestamps = false;
+
+    /**
+      A function returning the current time, used for the models' timestamps. Replace it to make them deterministic in your tests:
+
+      ```js
+      server.schema.clock = () => new Date('2018-01-01T00:00:00Z');
+      ```
+
+      @property clock
+      @type {Function}
+      @public
+    */
+    this.clock = () => new Date();
+
     this._registry = {};
+    this._parentModelNames = {}; // a hash of model names to the names of the models they extend, for single-table inheritance
     this._dependentAssociations = { polymorphic: [] };
     this.registerModels(modelsMap);
     this.isSaving = {}; // a hash of models that are being saved, used to avoid cycles
+    this.isDestroying = {}; // a hash of models that are destroying their dependents, used to avoid cycles
+    this._includingDeletedDepth = 0; // how many withDeleted queries are running, since they can be nested
+    this._saveDepth = 0; // how many saves are in progress, so nested saves of related models can be told from direct ones
   }
 
   /**
@@ -56,9 +93,21 @@ export default class Schema {
     @hide
    */
   registerModels(hash = {}) {
-    _forIn(hash, (model, key) => {
-      this.registerModel(key, hash[key]);
-    });
+    let registered = {};
+    let register = (key) => {
+      if (!registered[key]) {
+        registered[key] = true;
+
+        // Base models are registered before the models that extend them
+        Object.keys(hash)
+          .filter((otherKey) => hash[otherKey] !== Model && hash[key].prototype instanceof hash[otherKey])
+          .forEach(register);
+
+        this.registerModel(key, hash[key]);
+      }
+    };
+
+    _forIn(hash, (model, key) => register(key));
   }
 
   /**
@@ -71,6 +120,8 @@ export default class Schema {
   registerModel(type, ModelClass) {
     let camelizedModelName = camelize(type);
     let modelName = dasherize(camelizedModelName);
+    let definition = ModelClass;
+    let parentModelName = this._parentModelNameFor(definition);
 
     // Avoid mutating original class, because we may want to reuse it across many tests
     ModelClass = ModelClass.extend();
@@ -79,6 +130,14 @@ export default class Schema {
     // TODO: don't think this is needed anymore
     this._registry[camelizedModelName] = this._registry[camelizedModelName] || { class: null, foreignKeys: [] }; // we may have created this key before, if another model added fks to it
     this._registry[camelizedModelName].class = ModelClass;
+    this._registry[camelizedModelName].definition = definition;
+
+    if (parentModelName) {
+      this._parentModelNames[modelName] = parentModelName;
+      this._ancestorModelNamesFor(modelName).forEach((ancestor) => {
+        this.modelClassFor(ancestor).usesInheritance = true;
+      });
+    }
 
     // TODO: set here, remove from model#constructor
     ModelClass.prototype._schema = this;
@@ -89,11 +148,19 @@ export default class Schema {
     ModelClass.prototype.associationKeys = [];       // ex: address.user, user.addresses
     ModelClass.prototype.associationIdKeys = [];     // ex: address.user_id, user.address_ids
     ModelClass.prototype.dependentAssociations = []; // a registry of associations that depend on this model, needed for deletion cleanup.
+    ModelClass.prototype.attrDefinitions = {};       // a registry of the model's declared attributes. Key is key from model definition, value is attribute instance itself
+    ModelClass.prototype.usesInheritance = !!parentModelName; // whether the model shares a collection with the models it extends or that extend it, and stores its model name under `type`
 
     let fksAddedFromThisModel = {};
     for (let associationProperty in ModelClass.prototype) {
       if (ModelClass.prototype[associationProperty] instanceof Association) {
         let association = ModelClass.prototype[associationProperty];
+
+        // Associations inherited from a base model were registered for it
+        if (parentModelName && !definition.prototype.hasOwnProperty(associationProperty)) {
+          association = new association.constructor(association.modelName, association.opts);
+          ModelClass.prototype[associationProperty] = association;
+        }
         association.key = associationProperty;
         association.modelName = association.modelName || toModelName(associationProperty);
         association.ownerModelName = modelName;
@@ -101,27 +168,38 @@ export default class Schema {
 
         // Update the registry with this association's foreign keys. This is
         // essentially our "db migration", since we must know about the fks.
-        let [fkHolder, fk] = association.getForeignKeyArray();
+        // Associations through a join model keep theirs on the join model.
+        if (!association.isThrough) {
+          let [fkHolder, fk] = association.getForeignKeyArray();
 
-        fksAddedFromThisModel[fkHolder] = fksAddedFromThisModel[fkHolder] || [];
-        assert(
-          !_includes(fksAddedFromThisModel[fkHolder], fk),
-          `Your '${type}' model definition has multiple possible inverse relationships of type '${fkHolder}'.
+          fksAddedFromThisModel[fkHolder] = fksAddedFromThisModel[fkHolder] || [];
+          assert(
+            !_includes(fksAddedFromThisModel[fkHolder], fk),
+            `Your '${type}' model definition has multiple possible inverse relationships of type '${fkHolder}'.
 
-          Please read the associations guide and specify explicit inverses: http://www.ember-cli-mirage.com/docs/v0.3.x/models/#associations`
-        );
-        fksAddedFromThisModel[fkHolder].push(fk);
+            Please read the associations guide and specify explicit inverses: http://www.ember-cli-mirage.com/docs/v0.3.x/models/#associations`
+          );
+          fksAddedFromThisModel[fkHolder].push(fk);
 
-        this._addForeignKeyToRegistry(fkHolder, fk);
+          this._addForeignKeyToRegistry(fkHolder, fk);
+        }
 
         // Augment the Model's class with any methods added by this association
         association.addMethodsToModelClass(ModelClass, associationProperty);
+
+      } else if (ModelClass.prototype[associationProperty] instanceof Attribute) {
+        let attribute = ModelClass.prototype[associationProperty];
+        attribute.key = associationProperty;
+        ModelClass.prototype.attrDefinitions[associationProperty] = attribute;
       }
     }
 
-    // Create a db collection for this model, if doesn't exist
+    // Create a db collection for this model, if doesn't exist. Models that
+    // extend another model are stored in their base model's collection.
     let collection = toCollectionName(modelName);
-    if (!this.db[collection]) {
+    if (parentModelName) {
+      this.db.createCollectionAlias(collection, toCollectionName(this.baseModelNameFor(modelName)));
+    } else if (!this.db[collection]) {
       this.db.createCollection(collection);
     }
 
@@ -136,7 +214,9 @@ export default class Schema {
       findOrCreateBy: (attrs) => this.findOrCreateBy(camelizedModelName, attrs),
       where: (attrs) => this.where(camelizedModelName, attrs),
       none: (attrs) => this.none(camelizedModelName, attrs),
-      first: (attrs) => this.first(camelizedModelName, attrs)
+      first: (attrs) => this.first(camelizedModelName, attrs),
+      query: () => this.query(camelizedModelName),
+      withDeleted: () => this.withDeleted(camelizedModelName)
     };
 
     return this;
@@ -205,7 +285,7 @@ export default class Schema {
   all(type) {
     let collection = this._collectionForType(type);
 
-    return this._hydrate(collection, dasherize(type));
+    return this._hydrate(this._scope(type, collection), dasherize(type));
   }
 
   /**
@@ -234,7 +314,7 @@ export default class Schema {
    */
   find(type, ids) {
     let collection = this._collectionForType(type);
-    let records = collection.find(ids);
+    let records = this._ofType(type, collection.find(ids));
 
     if (Array.isArray(ids)) {
       assert(
@@ -243,7 +323,7 @@ export default class Schema {
       );
     }
 
-    return this._hydrate(records, dasherize(type));
+    return this._hydrate(this._withoutDeleted(type, records), dasherize(type));
   }
 
   /**
@@ -262,7 +342,7 @@ export default class Schema {
    */
   findBy(type, query) {
     let collection = this._collectionForType(type);
-    let record = collection.findBy(query);
+    let record = this._scope(type, collection.where(query))[0];
 
     return this._hydrate(record, dasherize(type));
   }
@@ -282,7 +362,7 @@ export default class Schema {
    */
   findOrCreateBy(type, attrs) {
     let collection = this._collectionForType(type);
-    let record = collection.findBy(attrs);
+    let record = this._scope(type, collection.where(attrs))[0];
     let model;
 
     if (!record) {
@@ -301,6 +381,8 @@ export default class Schema {
     let posts = blogPosts.where({ published: true });
     ```
 
+    Values can also be hashes of operators, like `{ wordCount: { gt: 500 } }`. See `DbCollection#where` for the available operators.
+
     @method where
     @param type
     @param query
@@ -310,7 +392,7 @@ export default class Schema {
     let collection = this._collectionForType(type);
     let records = collection.where(query);
 
-    return this._hydrate(records, dasherize(type));
+    return this._hydrate(this._scope(type, records), dasherize(type));
   }
 
   /**
@@ -328,11 +410,58 @@ export default class Schema {
    */
   first(type) {
     let collection = this._collectionForType(type);
-    let record = collection[0];
+    let record = this._scope(type, collection)[0];
 
     return this._hydrate(record, dasherize(type));
   }
 
+  /**
+    Returns a lazy, chainable query for models of type `type`. See the `Query` docs for the available methods.
+
+    ```js
+    let posts = blogPosts.query()
+      .where({ published: true })
+      .orderBy('-createdAt')
+      .limit(10)
+      .all();
+    ```
+
+    @method query
+    @param type
+    @return {Query}
+    @public
+   */
+  query(type) {
+    this._collectionForType(type);
+
+    return new Query(this, dasherize(type));
+  }
+
+  /**
+    Returns the `all`, `find`, `findBy`, `where`, `first` and `query` methods for `type`, including soft-deleted models of paranoid model classes.
+
+    ```js
+    let posts = schema.blogPosts.withDeleted().all();
+    let post = schema.blogPosts.withDeleted().find(1);
+    let deletedPosts = schema.blogPosts.withDeleted().query().where({ deletedAt: { null: false } }).all();
+    ```
+
+    @method withDeleted
+    @param type
+    @public
+   */
+  withDeleted(type) {
+    let methods = ['all', 'find', 'findBy', 'where', 'first'].reduce((methods, method) => {
+      methods[method] = (...args) => this._includingDeleted(() => this[method](type, ...args));
+      return methods;
+    }, {});
+
+    // Queries read the db lazily, so the query carries the scope with it
+    methods.query = () => this.query(type)._with({ withDeleted: true });
+
+    return methods;
+  }
+
   /**
     @method modelClassFor
     @param modelName
@@ -372,6 +501,12 @@ export default class Schema {
     handle them separately.
   */
   addDependentAssociation(association, modelName) {
+    // Associations a model inherits are registered for the model it extends, whose queries include it
+    let parentModelName = this._parentModelNames[association.ownerModelName];
+    if (parentModelName && this.associationsFor(parentModelName)[association.key]) {
+      return;
+    }
+
     if (association.isPolymorphic) {
       this._dependentAssociations.polymorphic.push(association);
     } else {
@@ -381,7 +516,8 @@ export default class Schema {
   }
 
   dependentAssociationsFor(modelName) {
-    let directDependents = this._dependentAssociations[modelName] || [];
+    let directDependents = [ modelName ].concat(this._ancestorModelNamesFor(modelName))
+      .reduce((dependents, name) => dependents.concat(this._dependentAssociations[name] || []), []);
     let polymorphicAssociations = this._dependentAssociations.polymorphic || [];
 
     return directDependents.concat(polymorphicAssociations);
@@ -397,6 +533,48 @@ export default class Schema {
     return this.modelFor(camelize(modelName));
   }
 
+  /**
+    Returns the name of the model at the root of the model's single-table
+    inheritance hierarchy, whose collection stores its records, or the model's
+    own name.
+
+    @method baseModelNameFor
+    @param modelName
+    @public
+    @hide
+   */
+  baseModelNameFor(modelName) {
+    let ancestors = this._ancestorModelNamesFor(modelName);
+
+    return ancestors.length ? ancestors[ancestors.length - 1] : modelName;
+  }
+
+  /**
+    Whether the model is the base model or extends it, directly or not.
+
+    @method isKindOf
+    @param modelName
+    @param baseModelName
+    @public
+    @hide
+   */
+  isKindOf(modelName, baseModelName) {
+    return modelName === baseModelName || this._ancestorModelNamesFor(modelName).indexOf(baseModelName) > -1;
+  }
+
+  /**
+    Returns the names of the models that extend the model, directly or not.
+
+    @method subtypesFor
+    @param modelName
+    @public
+    @hide
+   */
+  subtypesFor(modelName) {
+    return Object.keys(this._parentModelNames)
+      .filter((subtype) => this._ancestorModelNamesFor(subtype).indexOf(modelName) > -1);
+  }
+
   /*
     Private methods
   */
@@ -408,7 +586,7 @@ export default class Schema {
     @hide
    */
   _collectionForType(type) {
-    let collection = toCollectionName(type);
+    let collection = toCollectionName(this.baseModelNameFor(dasherize(type)));
     assert(
       this.db[collection],
       `You're trying to find model(s) of type ${type} but this collection doesn't exist in the database.`
@@ -417,6 +595,141 @@ export default class Schema {
     return this.db[collection];
   }
 
+  /**
+    Returns the name of the most specific registered model the class extends,
+    if that model opted into single-table inheritance with `inheritance: true`.
+
+    @method _parentModelNameFor
+    @param ModelClass
+    @private
+    @hide
+   */
+  _parentModelNameFor(ModelClass) {
+    let definitionFor = (key) => this._registry[key].definition;
+    let parents = Object.keys(this._registry).filter((key) => {
+      let definition = definitionFor(key);
+
+      return definition && definition !== Model && definition.prototype.inheritance && ModelClass.prototype instanceof definition;
+    });
+    let parent = parents.filter((key) => {
+      return parents.every((other) => !(definitionFor(other).prototype instanceof definitionFor(key)));
+    })[0];
+
+    return parent && dasherize(parent);
+  }
+
+  /**
+    @method _ancestorModelNamesFor
+    @param modelName
+    @private
+    @hide
+   */
+  _ancestorModelNamesFor(modelName) {
+    let parentModelName = this._parentModelNames[modelName];
+
+    return parentModelName ? [ parentModelName ].concat(this._ancestorModelNamesFor(parentModelName)) : [];
+  }
+
+  /**
+    Removes the records of other models from a record or a list of records
+    of a model that shares its base model's collection.
+
+    @method _ofType
+    @param type
+    @param records
+    @private
+    @hide
+   */
+  _ofType(type, records) {
+    let modelName = dasherize(type);
+
+    if (!this._parentModelNames[modelName]) {
+      return records;
+    }
+
+    let types = [ modelName ].concat(this.subtypesFor(modelName));
+    let isOfType = (record) => types.indexOf(record.type) > -1;
+
+    if (Array.isArray(records)) {
+      return records.filter(isOfType);
+    }
+
+    return records && isOfType(records) ? records : null;
+  }
+
+  /**
+    Removes the records the query methods shouldn't return for the type.
+
+    @method _scope
+    @param type
+    @param records
+    @private
+    @hide
+   */
+  _scope(type, records) {
+    return this._withoutDeleted(type, this._ofType(type, records));
+  }
+
+  /**
+    Runs the callback with soft-deleted records included in the results of
+    the query methods.
+
+    @method _includingDeleted
+    @param callback
+    @private
+    @hide
+   */
+  _includingDeleted(callback) {
+    this._includingDeletedDepth++;
+
+    try {
+      return callback();
+    } finally {
+      this._includingDeletedDepth--;
+    }
+  }
+
+  /**
+    Removes soft-deleted records from a record or a list of records of a
+    paranoid model class.
+
+    @method _withoutDeleted
+    @param type
+    @param records
+    @private
+    @hide
+   */
+  _withoutDeleted(type, records) {
+    if (this._includingDeletedDepth || !this._modelFor(type).prototype.paranoid) {
+      return records;
+    }
+
+    if (Array.isArray(records)) {
+      return records.filter((record) => !record.deletedAt);
+    }
+
+    return records && records.deletedAt ? null : records;
+  }
+
+  /**
+    Whether the record of the type with the id is soft-deleted.
+
+    @method _isDeleted
+    @param type
+    @param id
+    @private
+    @hide
+   */
+  _isDeleted(type, id) {
+    if (!this._modelFor(type).prototype.paranoid) {
+      return false;
+    }
+
+    let record = this._collectionForType(type).find(id);
+
+    return !!(record && record.deletedAt);
+  }
+
   /**
     @method _addForeignKeyToRegistry
     @param type
@@ -441,6 +754,11 @@ export default class Schema {
     @hide
    */
   _instantiateModel(modelName, attrs) {
+    // Records of a base model are instantiated as the model they store under `type`
+    if (attrs && this.subtypesFor(modelName).indexOf(attrs.type) > -1) {
+      modelName = attrs.type;
+    }
+
     let ModelClass = this._modelFor(modelName);
     let fks = this._foreignKeysFor(modelName);
 
@@ -0,0 +1,98 @@
+import { toInternalCollectionName } from 'ember-cli-mirage/utils/normalize-name';
+import assert from '../assert';
+
+function isBlank(value) {
+  if (value === undefined || value === null) {
+    return true;
+  }
+  if (typeof value === 'string') {
+    return value.trim() === '';
+  }
+  if (Array.isArray(value)) {
+    return value.length === 0;
+  }
+
+  return false;
+}
+
+/*
+  Each validator returns a list of error messages for the value. Apart from
+  presence, they skip null and undefined values.
+*/
+const VALIDATORS = {
+  presence(value, options) {
+    return isBlank(value) ? [ options.message || 'can\'t be blank' ] : [];
+  },
+
+  format(value, options) {
+    let regexp = options instanceof RegExp ? options : options.with;
+
+    return regexp.test(value) ? [] : [ options.message || 'is invalid' ];
+  },
+
+  length(value, { minimum, maximum, is, message }) {
+    let { length } = value;
+    let errors = [];
+
+    if (minimum !== undefined && length < minimum) {
+      errors.push(message || `is too short (minimum is ${minimum} characters)`);
+    }
+    if (maximum !== undefined && length > maximum) {
+      errors.push(message || `is too long (maximum is ${maximum} characters)`);
+    }
+    if (is !== undefined && length !== is) {
+      errors.push(message || `is the wrong length (should be ${is} characters)`);
+    }
+
+    return errors;
+  },
+
+  inclusion(value, options) {
+    let list = Array.isArray(options) ? options : options.in;
+
+    return list.indexOf(value) > -1 ? [] : [ options.message || 'is not included in the list' ];
+  },
+
+  uniqueness(value, options, model, key) {
+    let collection = model._schema.db[toInternalCollectionName(model.modelName)];
+    let scope = [].concat(options.scope || []);
+    let query = scope.reduce((query, scopeKey) => {
+      query[scopeKey] = model[scopeKey];
+      return query;
+    }, { [key]: value });
+
+    let isTaken = collection.where(query).some((record) => `${record.id}` !== `${model.id}`);
+
+    return isTaken ? [ options.message || 'has already been taken' ] : [];
+  }
+};
+
+/*
+  Runs the validations declared on the model's class, and returns a hash of
+  the invalid keys to their error messages.
+*/
+export default function validate(model) {
+  let validations = model.validations || {};
+
+  return Object.keys(validations).reduce((errors, key) => {
+    let value = model[key];
+
+    Object.keys(validations[key]).forEach((name) => {
+      let options = validations[key][name];
+      let validator = VALIDATORS[name];
+
+      assert(validator, `The ${model.modelName} model has an unknown '${name}' validation for '${key}'.`);
+
+      if (options === false || (name !== 'presence' && (value === undefined || value === null))) {
+        return;
+      }
+
+      let messages = validator(value, options === true ? {} : options, model, key);
+      if (messages.length) {
+        errors[key] = (errors[key] || []).concat(messages);
+      }
+    });
+
+    return errors;
+  }, {});
+}
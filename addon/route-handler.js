@@ -1,6 +1,7 @@
 import { Promise } from 'rsvp';
 import { MirageError } from 'ember-cli-mirage/assert';
 import Response from './response';
+import { errorResponse, ValidationError, DeleteRestrictionError } from './errors';
 import FunctionHandler from './route-handlers/function';
 import ObjectHandler from './route-handlers/object';
 import GetShorthandHandler from './route-handlers/shorthands/get';
@@ -34,13 +35,22 @@ function createHandler({ verb, schema, serializerOrRegistry, path, rawHandler, o
   return handler;
 }
 
+function errorResponseFor(errors) {
+  let statuses = errors.map((error) => error.status);
+  let code = statuses.every((status) => status === statuses[0]) ? parseInt(statuses[0], 10) : 400;
+
+  return errorResponse(code, errors);
+}
+
 /**
  * @hide
  */
 export default class RouteHandler {
 
-  constructor({ schema, verb, rawHandler, customizedCode, options, path, serializerOrRegistry }) {
+  constructor({ schema, verb, rawHandler, customizedCode, options, path, serializerOrRegistry, isTransactional }) {
+    this.schema = schema;
     this.verb = verb;
+    this.isTransactional = isTransactional || (() => false);
     this.customizedCode = customizedCode;
     this.serializerOrRegistry = serializerOrRegistry;
     this.handler = createHandler({ verb, schema, path, serializerOrRegistry, rawHandler, options });
@@ -55,7 +65,40 @@ export default class RouteHandler {
   }
 
   _getMirageResponseForRequest(request) {
+    let errors = this.serializerOrRegistry.getRequestErrors(request);
+    if (errors.length) {
+      return this._toMirageResponse(errorResponseFor(errors));
+    }
+
+    if (!this.isTransactional()) {
+      return this._toMirageResponse(this._getResultForRequest(request))
+        .then((mirageResponse) => this._checkQueryParams(mirageResponse, request));
+    }
+
+    let transaction = this.schema.db._beginTransaction();
+
+    return this._toMirageResponse(transaction.run(() => this._getResultForRequest(request)))
+      .then((mirageResponse) => this._checkQueryParams(mirageResponse, request))
+      .then((mirageResponse) => {
+        if (mirageResponse.code >= 200 && mirageResponse.code < 300) {
+          transaction.commit();
+        } else {
+          transaction.rollback();
+        }
+
+        return mirageResponse;
+      }, (e) => {
+        transaction.rollback();
+        throw e;
+      });
+  }
+
+  /*
+    Runs the handler, and turns the errors it throws into error responses.
+  */
+  _getResultForRequest(request) {
     let result;
+
     try {
       /*
        We need to do this for the #serialize convenience method. Probably is
@@ -67,7 +110,13 @@ export default class RouteHandler {
 
       result = this.handler.handle(request);
     } catch(e) {
-      if (e instanceof MirageError) {
+      if (e instanceof ValidationError) {
+        result = errorResponse(422, e.errors);
+
+      } else if (e instanceof DeleteRestrictionError) {
+        result = errorResponse(409, [{ title: 'Conflict', detail: e.message }]);
+
+      } else if (e instanceof MirageError) {
         result = new Response(500, {}, e);
 
       } else {
@@ -80,7 +129,7 @@ export default class RouteHandler {
       }
     }
 
-    return this._toMirageResponse(result);
+    return result;
   }
 
   _toMirageResponse(result) {
@@ -115,6 +164,17 @@ export default class RouteHandler {
     return code;
   }
 
+  /*
+    Replaces the response with an error response if the query params don't
+    apply to its data. This runs before the transaction is committed, so an
+    invalid request doesn't change the db.
+  */
+  _checkQueryParams(mirageResponse, request) {
+    let errors = this.serializerOrRegistry.getQueryParamErrors(request, mirageResponse.data);
+
+    return errors.length ? errorResponseFor(errors) : mirageResponse;
+  }
+
   serialize(mirageResponse, request) {
     mirageResponse.data = this.serializerOrRegistry.serialize(mirageResponse.data, request);
 
@@ -0,0 +1,164 @@
+import { Response } from 'ember-cli-mirage';
+import { errorResponse } from 'ember-cli-mirage/errors';
+import { toCollectionName, toModelName } from 'ember-cli-mirage/utils/normalize-name';
+import _assign from 'lodash/assign';
+import _mapValues from 'lodash/mapValues';
+
+const MEDIA_TYPE = 'application/vnd.api+json;ext="https://jsonapi.org/ext/atomic"';
+
+/*
+  Thrown by an operation that can't be applied. It's turned into a JSON:API
+  error document after the database is rolled back.
+*/
+class OperationError {
+  constructor(status, detail) {
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+function lidKey(type, lid) {
+  return `${toModelName(type)}:${lid}`;
+}
+
+/*
+  Returns the id of the resource referenced by the identifier, looking up
+  local ids (`lid`) of resources added by previous operations.
+*/
+function idForIdentifier({ type, id, lid }, lids) {
+  if (id !== undefined && id !== null) {
+    return id;
+  }
+
+  if (lid !== undefined) {
+    let key = lidKey(type, lid);
+    if (!lids.hasOwnProperty(key)) {
+      throw new OperationError(400, `The local id '${lid}' of type '${type}' was not defined by a previous operation.`);
+    }
+
+    return lids[key];
+  }
+}
+
+/*
+  Replaces local ids in the resource object's relationships with the ids of
+  the resources added by previous operations.
+*/
+function resolveLids(data, lids) {
+  let resolveIdentifier = (identifier) => {
+    if (!identifier || identifier.lid === undefined) {
+      return identifier;
+    }
+
+    return { type: identifier.type, id: idForIdentifier(identifier, lids) };
+  };
+
+  let relationships = _mapValues(data.relationships || {}, (relationship) => {
+    let linkage = Array.isArray(relationship.data)
+      ? relationship.data.map(resolveIdentifier)
+      : resolveIdentifier(relationship.data);
+
+    return _assign({}, relationship, { data: linkage });
+  });
+
+  return _assign({}, data, { relationships });
+}
+
+function performOperation(handler, schema, request, { op, ref, data }, lids) {
+  let identifier = ref || data;
+
+  if (!identifier || !identifier.type) {
+    throw new OperationError(400, 'The operation must have a ref or data with a type.');
+  }
+  if ((op === 'add' || op === 'update') && !data) {
+    throw new OperationError(400, `The ${op} operation must have data.`);
+  }
+  if (identifier.relationship) {
+    throw new OperationError(400, 'Operations on relationships are not supported.');
+  }
+
+  let modelName = toModelName(identifier.type);
+  if (!schema.hasModelForModelName(modelName)) {
+    throw new OperationError(400, `The type '${identifier.type}' does not exist.`);
+  }
+
+  let collection = schema[toCollectionName(modelName)];
+  let attrsFor = () => handler._getAttrsForJsonApiDoc({ data: resolveLids(data, lids) }, modelName, request);
+
+  if (op === 'add') {
+    let attrs = attrsFor();
+    if (data.id) {
+      attrs.id = data.id;
+    }
+
+    let model = collection.create(attrs);
+    if (data.lid !== undefined) {
+      lids[lidKey(data.type, data.lid)] = model.id;
+    }
+
+    return { data: handler.serialize(model).data };
+  }
+
+  let id = idForIdentifier(identifier, lids);
+  let model = id !== undefined && collection.find(id);
+  if (!model) {
+    throw new OperationError(404, `The ${identifier.type} resource '${id || identifier.lid}' does not exist.`);
+  }
+
+  if (op === 'update') {
+    model.update(attrsFor());
+
+    return { data: handler.serialize(model).data };
+  } else if (op === 'remove') {
+    model.destroy();
+
+    return {};
+  }
+
+  throw new OperationError(400, `The operation '${op}' is not supported.`);
+}
+
+/**
+  A function route handler for the JSON:API Atomic Operations extension.
+
+  Applies the `add`, `update` and `remove` operations of an
+  `atomic:operations` document in order, and responds with an
+  `atomic:results` document. If an operation fails, the database is rolled
+  back to its state before the request.
+
+  @hide
+*/
+export default function atomicOperationsHandler(schema, request) {
+  let json = request.requestBody ? JSON.parse(request.requestBody) : {};
+  let operations = json['atomic:operations'];
+
+  if (!Array.isArray(operations)) {
+    return errorResponse(400, [{ detail: 'The document must have an atomic:operations array.' }]);
+  }
+
+  let transaction = schema.db._beginTransaction();
+  let lids = {};
+  let results = [];
+
+  for (let i = 0; i < operations.length; i++) {
+    try {
+      results.push(transaction.run(() => performOperation(this, schema, request, operations[i], lids)));
+    } catch(e) {
+      transaction.rollback();
+
+      if (e instanceof OperationError) {
+        return errorResponse(e.status, [{ detail: e.detail, pointer: `/atomic:operations/${i}` }]);
+      }
+
+      throw e;
+    }
+  }
+
+  transaction.commit();
+
+  if (results.every((result) => !result.data)) {
+    return new Response(204);
+  }
+
+  return new Response(200, { 'Content-Type': MEDIA_TYPE }, { 'atomic:results': results });
+}
@@ -26,6 +26,42 @@ export default class BaseRouteHandler {
     return modelName;
   }
 
+  /*
+    Returns the parent segments of a nested path. For example,
+    `/authors/:authorId/posts/:id` returns
+
+      { modelName: 'author', idParam: 'authorId', key: 'posts', childIdParam: 'id' }
+
+    Returns undefined if the path isn't nested.
+  */
+  getParentFromPath(fullPath) {
+    if (!fullPath) {
+      return;
+    }
+    let segments = fullPath.split('/').filter(Boolean);
+    let childIdParam;
+    if (PATH_VAR_REGEXP.test(segments[segments.length - 1])) {
+      childIdParam = segments.pop().slice(1);
+    }
+    let [ parentPath, parentIdPath, childPath ] = segments.slice(-3);
+
+    if (
+      segments.length < 3
+      || PATH_VAR_REGEXP.test(parentPath)
+      || !PATH_VAR_REGEXP.test(parentIdPath)
+      || PATH_VAR_REGEXP.test(childPath)
+    ) {
+      return;
+    }
+
+    return {
+      modelName: dasherize(camelize(singularize(parentPath))),
+      idParam: parentIdPath.slice(1),
+      key: camelize(childPath),
+      childIdParam
+    };
+  }
+
   _getIdForRequest(request, jsonApiDoc) {
     let id;
     if (request && request.params && request.params.id) {
@@ -47,6 +83,16 @@ export default class BaseRouteHandler {
   _getAttrsForRequest(request, modelName) {
     let json = this._getJsonApiDocForRequest(request, modelName);
     let id = this._getIdForRequest(request, json);
+    let attrs = this._getAttrsForJsonApiDoc(json, modelName, request);
+
+    if (id) {
+      attrs.id = id;
+    }
+
+    return attrs;
+  }
+
+  _getAttrsForJsonApiDoc(json, modelName, request) {
     let attrs = {};
 
     assert(
@@ -55,8 +101,13 @@ export default class BaseRouteHandler {
     );
 
     if (json.data.attributes) {
+      let attrDefinitions = this.schema.hasModelForModelName(modelName) ? this.schema.modelClassFor(modelName).attrDefinitions : {};
+
       attrs = Object.keys(json.data.attributes).reduce((sum, key) => {
-        sum[camelize(key)] = json.data.attributes[key];
+        let attribute = attrDefinitions[camelize(key)];
+        let value = json.data.attributes[key];
+
+        sum[camelize(key)] = attribute ? attribute.coerce(value) : value;
         return sum;
       }, {});
     }
@@ -87,10 +138,6 @@ export default class BaseRouteHandler {
       }, {});
     }
 
-    if (id) {
-      attrs.id = id;
-    }
-
     return attrs;
   }
 
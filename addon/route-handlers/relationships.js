@@ -0,0 +1,101 @@
+import { Response } from 'ember-cli-mirage';
+import { toCollectionName } from 'ember-cli-mirage/utils/normalize-name';
+import HasMany from '../orm/associations/has-many';
+
+/*
+  Returns the models referenced by the resource identifiers of a relationship
+  document, or undefined if one of them doesn't exist.
+*/
+function relatedModelsForData(schema, association, data) {
+  let identifiers = Array.isArray(data) ? data : [ data ];
+
+  let models = identifiers
+    .filter(Boolean)
+    .map(({ type, id }) => {
+      let modelName = association.isPolymorphic ? type : association.modelName;
+
+      return schema[toCollectionName(modelName)].find(id);
+    });
+
+  return models.every(Boolean) ? models : undefined;
+}
+
+function withoutModels(models, modelsToRemove) {
+  let keysToRemove = modelsToRemove.map((model) => model.toString());
+
+  return models.filter((model) => keysToRemove.indexOf(model.toString()) === -1);
+}
+
+/**
+  Returns a function route handler for a JSON:API relationship endpoint, like
+  `/posts/:id/relationships/comments`.
+
+  GET returns the relationship document. PATCH replaces the relationship,
+  while POST and DELETE add and remove members of hasMany relationships (they
+  are forbidden for belongsTo relationships). Updates respond with a 204.
+
+  @hide
+*/
+export function relationshipHandlerFor(verb, modelName, key) {
+  return function(schema, request) {
+    let model = schema[toCollectionName(modelName)].find(request.params.id);
+    if (!model) {
+      return new Response(404);
+    }
+
+    if (verb === 'get') {
+      let serializer = this.serializerOrRegistry.serializerFor(modelName);
+
+      return new Response(200, {}, serializer.serializeRelationship(model, key));
+    }
+
+    let association = model.associationFor(key);
+    let isHasMany = association instanceof HasMany;
+    if (!isHasMany && verb !== 'patch') {
+      return new Response(403);
+    }
+
+    let { data } = request.requestBody ? JSON.parse(request.requestBody) : {};
+    if (data === undefined) {
+      return new Response(400);
+    }
+
+    let relatedModels = relatedModelsForData(schema, association, data);
+    if (!relatedModels) {
+      return new Response(404);
+    }
+
+    if (!isHasMany) {
+      model[key] = relatedModels[0] || null;
+    } else if (verb === 'patch') {
+      model[key] = relatedModels;
+    } else {
+      let currentModels = model[key].models;
+
+      model[key] = verb === 'post'
+        ? currentModels.concat(withoutModels(relatedModels, currentModels))
+        : withoutModels(currentModels, relatedModels);
+    }
+
+    model.save();
+
+    return new Response(204);
+  };
+}
+
+/**
+  Returns a function route handler for a JSON:API related resource endpoint,
+  like `/posts/:id/comments`.
+
+  @hide
+*/
+export function relatedResourceHandlerFor(modelName, key) {
+  return function(schema, request) {
+    let model = schema[toCollectionName(modelName)].find(request.params.id);
+    if (!model) {
+      return new Response(404);
+    }
+
+    return model[key] || new Response(200, {}, { data: null });
+  };
+}
@@ -1,5 +1,74 @@
 import { toCollectionName } from 'ember-cli-mirage/utils/normalize-name';
 import BaseRouteHandler from '../base';
+import HasMany from '../../orm/associations/has-many';
+import BelongsTo from '../../orm/associations/belongs-to';
+import _find from 'lodash/find';
+import _values from 'lodash/values';
+
+/**
+  For a nested path, returns the parent model, the association between the
+  parent and the children of type `modelName`, and the requested child id.
+  Returns nothing if no association links them. Used by the shorthands and by
+  the custom actions of nested resources.
+
+  @hide
+*/
+export function getParentForRequest(schema, parentPath, modelName, request) {
+  if (!parentPath || !schema.hasModelForModelName(parentPath.modelName)) {
+    return;
+  }
+
+  let associations = schema.associationsFor(parentPath.modelName);
+  let association = associations[parentPath.key] || _find(_values(associations), (association) => {
+    return association instanceof HasMany && association.modelName === modelName;
+  });
+
+  if (!(association instanceof HasMany)) {
+    association = _find(_values(schema.associationsFor(modelName)), (association) => {
+      return association instanceof BelongsTo && !association.isPolymorphic && association.modelName === parentPath.modelName;
+    });
+  }
+
+  // Without an association between them, the route acts like a flat one
+  if (!association) {
+    return;
+  }
+
+  let model = schema[toCollectionName(parentPath.modelName)].find(request.params[parentPath.idParam]);
+  let childId = parentPath.childIdParam && request.params[parentPath.childIdParam];
+
+  return { model, association, childId };
+}
+
+/**
+  Returns the collection of the parent's children.
+
+  @hide
+*/
+export function getChildrenFromParent(schema, modelName, { model, association }) {
+  if (association instanceof HasMany) {
+    return model[association.key];
+  }
+
+  return schema[toCollectionName(modelName)].where({ [association.getForeignKey()]: model.id });
+}
+
+/**
+  Returns the child with the requested id, or null if the parent doesn't
+  exist or the child isn't associated with it.
+
+  @hide
+*/
+export function getChildFromParent(schema, modelName, parent) {
+  let { model, childId } = parent;
+  if (!model || !childId) {
+    return null;
+  }
+
+  return getChildrenFromParent(schema, modelName, parent)
+    .filter((child) => child.id.toString() === childId.toString())
+    .models[0] || null;
+}
 
 /**
   @hide
@@ -16,6 +85,8 @@ export default class BaseShorthandRouteHandler extends BaseRouteHandler {
 
     let type = Array.isArray(shorthand) ? 'array' : typeof shorthand;
     if (type === 'string') {
+      this.parentPath = this.getParentFromPath(path);
+
       let modelClass = this.schema[toCollectionName(shorthand)];
       this.handle = (request) => {
         return this.handleStringShorthand(request, modelClass);
@@ -28,6 +99,34 @@ export default class BaseShorthandRouteHandler extends BaseRouteHandler {
     }
   }
 
+  /*
+    For nested paths like `/authors/:authorId/posts/:id`, returns the parent
+    model (null if it doesn't exist), the association between the parent and
+    this shorthand's models and the id of the requested child, if any.
+
+    The association is the parent's hasMany to the children, or else the
+    children's belongsTo to the parent. Returns undefined if the path isn't
+    nested under a model.
+  */
+  _getParentForRequest(request) {
+    return getParentForRequest(this.schema, this.parentPath, this.shorthand, request);
+  }
+
+  /*
+    Returns the child with the requested id from the parent's association,
+    or null if the parent doesn't exist or the child isn't associated with it.
+  */
+  _getChildFromParent(parent) {
+    return getChildFromParent(this.schema, this.shorthand, parent);
+  }
+
+  /*
+    Returns the collection of the parent's children.
+  */
+  _getChildrenFromParent(parent) {
+    return getChildrenFromParent(this.schema, this.shorthand, parent);
+  }
+
   // handleStringShorthand() {
   //
   // }
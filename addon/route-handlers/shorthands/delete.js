@@ -1,5 +1,6 @@
 import assert from 'ember-cli-mirage/assert';
 import BaseShorthandRouteHandler from './base';
+import { Response } from 'ember-cli-mirage';
 import { pluralize, camelize } from 'ember-cli-mirage/utils/inflector';
 
 /**
@@ -12,6 +13,9 @@ export default class DeleteShorthandRouteHandler extends BaseShorthandRouteHandl
 
     This would remove the user with id :id:
       Ex: this.del('/contacts/:id', 'user');
+
+    For nested paths, the model is only removed if it belongs to the parent:
+      Ex: this.del('/companies/:companyId/contacts/:id');
   */
   handleStringShorthand(request, modelClass) {
     let modelName = this.shorthand;
@@ -21,6 +25,17 @@ export default class DeleteShorthandRouteHandler extends BaseShorthandRouteHandl
       `The route handler for ${request.url} is trying to access the ${camelizedModelName} model, but that model doesn't exist. Create it using 'ember g mirage-model ${modelName}'.`
     );
 
+    let parent = this._getParentForRequest(request);
+    if (parent) {
+      let model = this._getChildFromParent(parent);
+      if (!model) {
+        return new Response(404);
+      }
+
+      model.destroy();
+      return;
+    }
+
     let id = this._getIdForRequest(request);
     modelClass.find(id).destroy();
   }
@@ -2,18 +2,32 @@ import assert from 'ember-cli-mirage/assert';
 import BaseShorthandRouteHandler from './base';
 import { Response } from 'ember-cli-mirage';
 import { singularize, camelize } from 'ember-cli-mirage/utils/inflector';
+import paginate, { linkHeaderFor } from 'ember-cli-mirage/utils/paginate';
+import { filter, sort } from 'ember-cli-mirage/utils/filter-and-sort';
 
 /**
  * @hide
  */
 export default class GetShorthandRouteHandler extends BaseShorthandRouteHandler {
 
+  constructor(...args) {
+    super(...args);
+
+    // Check the filter option now rather than on the first request
+    if (this.options.filter && typeof this.shorthand === 'string') {
+      this.serializerOrRegistry.assertFilterOption(camelize(this.shorthand), this.options.filter);
+    }
+  }
+
   /*
     Retrieve a model/collection from the db.
 
     Examples:
       this.get('/contacts', 'contact');
       this.get('/contacts/:id', 'contact');
+      this.get('/companies/:companyId/contacts', 'contact');
+      this.get('/contacts', 'contact', { filter: ['name', 'company.name'], sort: true });
+      this.get('/contacts', 'contact', { paginate: true });
   */
   handleStringShorthand(request, modelClass) {
     let modelName = this.shorthand;
@@ -24,9 +38,14 @@ export default class GetShorthandRouteHandler extends BaseShorthandRouteHandler
       `The route handler for ${request.url} is trying to access the ${camelizedModelName} model, but that model doesn't exist. Create it using 'ember g mirage-model ${modelName}'.`
     );
 
-    let id = this._getIdForRequest(request);
+    let parent = this._getParentForRequest(request);
+    if (parent && !parent.model) {
+      return new Response(404);
+    }
+
+    let id = parent ? parent.childId : this._getIdForRequest(request);
     if (id) {
-      let model = modelClass.find(id);
+      let model = parent ? this._getChildFromParent(parent) : modelClass.find(id);
       if (!model) {
         return new Response(404);
       } else {
@@ -34,11 +53,32 @@ export default class GetShorthandRouteHandler extends BaseShorthandRouteHandler
       }
     } else if (this.options.coalesce) {
       let ids = this.serializerOrRegistry.getCoalescedIds(request, camelizedModelName);
-      if (ids) {
+      if (ids && parent) {
+        ids = ids.map(String);
+        return this._getChildrenFromParent(parent).filter((model) => ids.indexOf(model.id.toString()) > -1);
+      } else if (ids) {
         return modelClass.find(ids);
       }
     }
-    return modelClass.all();
+
+    let collection = parent ? this._getChildrenFromParent(parent) : modelClass.all();
+
+    if (this.options.filter) {
+      let keys = Array.isArray(this.options.filter) ? this.options.filter : undefined;
+      let filters = this.serializerOrRegistry.getFilterParams(request, camelizedModelName, keys);
+      collection = filter(collection, filters);
+    }
+
+    if (this.options.sort) {
+      let sortKeys = this.serializerOrRegistry.getSortParams(request, camelizedModelName);
+      collection = sort(collection, sortKeys);
+    }
+
+    if (this.options.paginate) {
+      return this._paginate(collection, request);
+    }
+
+    return collection;
   }
 
   /*
@@ -70,4 +110,21 @@ export default class GetShorthandRouteHandler extends BaseShorthandRouteHandler
     return modelClasses.map((modelClass) => modelClass.all());
   }
 
+  /*
+    Slices the collection according to the request's pagination query params.
+    The pagination data is stored on the request so the serializer can add it
+    to the payload.
+  */
+  _paginate(collection, request) {
+    let options = this.options.paginate === true ? {} : this.options.paginate;
+    let { collection: page, total, links } = paginate(collection, request, options);
+
+    request.pagination = { total, links };
+
+    return new Response(200, {
+      'Link': linkHeaderFor(links),
+      'X-Total-Count': `${total}`
+    }, page);
+  }
+
 }
@@ -1,5 +1,10 @@
 import assert from 'ember-cli-mirage/assert';
 import BaseShorthandRouteHandler from './base';
+import HasMany from '../../orm/associations/has-many';
+import BelongsTo from '../../orm/associations/belongs-to';
+import { Response } from 'ember-cli-mirage';
+import { errorResponse } from 'ember-cli-mirage/errors';
+import _isEmpty from 'lodash/isEmpty';
 import { camelize } from 'ember-cli-mirage/utils/inflector';
 
 /**
@@ -12,6 +17,9 @@ export default class PostShorthandRouteHandler extends BaseShorthandRouteHandler
 
     For example, this will push a 'user':
       this.post('/contacts', 'user');
+
+    and this will push a 'contact' associated with the company:
+      this.post('/companies/:companyId/contacts');
   */
 
   handleStringShorthand(request, modelClass) {
@@ -22,8 +30,30 @@ export default class PostShorthandRouteHandler extends BaseShorthandRouteHandler
       `The route handler for ${request.url} is trying to access the ${camelizedModelName} model, but that model doesn't exist. Create it using 'ember g mirage-model ${modelName}'.`
     );
 
+    let parent = this._getParentForRequest(request);
+    if (parent && !parent.model) {
+      return new Response(404);
+    }
+
     let attrs = this._getAttrsForRequest(request, modelClass.camelizedModelName);
-    return modelClass.create(attrs);
+    if (parent && parent.association instanceof BelongsTo) {
+      attrs[parent.association.getForeignKey()] = parent.model.id;
+    }
+
+    let model = modelClass.create(attrs);
+
+    if (!_isEmpty(model.errors)) {
+      return errorResponse(422, model.errors);
+    }
+
+    if (parent && parent.association instanceof HasMany) {
+      let { model: parentModel, association } = parent;
+
+      parentModel[association.key] = parentModel[association.key].models.concat(model);
+      parentModel.save();
+    }
+
+    return model;
   }
 
 }
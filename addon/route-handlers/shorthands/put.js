@@ -1,6 +1,8 @@
 import assert from 'ember-cli-mirage/assert';
 import BaseShorthandRouteHandler from './base';
 import { camelize } from 'ember-cli-mirage/utils/inflector';
+import { errorResponse } from 'ember-cli-mirage/errors';
+import _isEmpty from 'lodash/isEmpty';
 
 /**
  * @hide
@@ -24,7 +26,9 @@ export default class PutShorthandRouteHandler extends BaseShorthandRouteHandler
     let id = this._getIdForRequest(request);
     let attrs = this._getAttrsForRequest(request, modelClass.camelizedModelName);
 
-    return modelClass.find(id).update(attrs);
+    let model = modelClass.find(id).update(attrs);
+
+    return _isEmpty(model.errors) ? model : errorResponse(422, model.errors);
   }
 
 }
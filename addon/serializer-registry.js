@@ -23,6 +23,13 @@ export default class SerializerRegistry {
   }
 
   serialize(response, request) {
+    // The includes of a query apply like an include query param, unless the request has one
+    if (response && response.includePaths && response.includePaths.length) {
+      let queryParams = _assign({ include: response.includePaths.join(',') }, request && request.queryParams);
+
+      request = _assign(Object.create(request || null), { queryParams });
+    }
+
     this.request = request;
 
     if (this._isModelOrCollection(response)) {
@@ -92,4 +99,28 @@ export default class SerializerRegistry {
     return this.serializerFor(modelName).getCoalescedIds(request);
   }
 
+  getRequestErrors(request) {
+    return this.serializerFor().getRequestErrors(request);
+  }
+
+  getQueryParamErrors(request, response) {
+    if (this._isModelOrCollection(response) && response.modelName) {
+      return this.serializerFor(response.modelName).getQueryParamErrors(request, response);
+    }
+
+    return [];
+  }
+
+  assertFilterOption(modelName, filter) {
+    this.serializerFor(modelName).assertFilterOption(filter);
+  }
+
+  getFilterParams(request, modelName, keys) {
+    return this.serializerFor(modelName).getFilterParams(request, keys);
+  }
+
+  getSortParams(request, modelName) {
+    return this.serializerFor(modelName).getSortParams(request);
+  }
+
 }
@@ -6,6 +6,7 @@ import { singularize, pluralize, camelize } from './utils/inflector';
 import assert from './assert';
 import _isFunction from 'lodash/isFunction';
 import _isArray from 'lodash/isArray';
+import _isPlainObject from 'lodash/isPlainObject';
 import _isEmpty from 'lodash/isEmpty';
 import _includes from 'lodash/includes';
 import _assign from 'lodash/assign';
@@ -357,7 +358,61 @@ class Serializer {
     @return { Object } the json response
    */
   serialize(primaryResource /* , request */) {
-    return this.buildPayload(primaryResource);
+    let json = this.buildPayload(primaryResource);
+    let pagination = this.request && this.request.pagination;
+
+    if (pagination && _isPlainObject(json)) {
+      json = this.serializePagination(json, pagination);
+    }
+
+    return json;
+  }
+
+  /**
+    Used to add pagination data to the payload of a paginated response, for example one returned by a GET shorthand that has the `paginate` option. *pagination* has the `total` number of records and the `links` to the `first`, `last`, `prev` and `next` pages.
+
+    By default, it is added under a `meta` key:
+
+    ```
+    GET /blogPosts?page[number]=2&page[size]=10
+
+    {
+      blogPosts: [...],
+      meta: {
+        total: 42,
+        links: {
+          first: '/blogPosts?page[number]=1&page[size]=10',
+          last: '/blogPosts?page[number]=5&page[size]=10',
+          prev: '/blogPosts?page[number]=1&page[size]=10',
+          next: '/blogPosts?page[number]=3&page[size]=10'
+        }
+      }
+    }
+    ```
+
+    Override this method to match the format of your API:
+
+    ```js
+    // serializers/application.js
+    export default Serializer.extend({
+      serializePagination(json, { total }) {
+        json.totalCount = total;
+
+        return json;
+      }
+    });
+    ```
+
+    @method serializePagination
+    @param json
+    @param pagination
+    @return { Object } the json response
+    @public
+   */
+  serializePagination(json, { total, links }) {
+    json.meta = _assign({}, json.meta, { total, links });
+
+    return json;
   }
 
   /**
@@ -475,10 +530,12 @@ class Serializer {
       return [hash, []];
 
     } else {
+      // Collections returned by a query can include more relationships
+      let keysForIncluded = serializer.getKeysForIncluded().concat(resource.includePaths || []);
       let addToIncludes = _uniqBy(
         _compact(
           _flatten(
-            serializer.getKeysForIncluded().map(key => {
+            keysForIncluded.map(key => {
               if (this.isCollection(resource)) {
                 return resource.models.map(m => m[key]);
               } else {
@@ -695,6 +752,14 @@ class Serializer {
     // Remove fks
     model.fks.forEach(key => delete attrs[key]);
 
+    // Records loaded straight into the db skip the models' coercion
+    Object.keys(attrs).forEach((key) => {
+      let attribute = model.attrDefinitions[key];
+      if (attribute) {
+        attrs[key] = attribute.coerce(attrs[key]);
+      }
+    });
+
     return this._formatAttributeKeys(attrs);
   }
 
@@ -1100,6 +1165,86 @@ class Serializer {
 
   getCoalescedIds(/* request */) {
   }
+
+  /*
+    Returns the JSON:API error objects for a request that shouldn't reach its
+    route handler. See the JSONAPISerializer's `strict` option.
+  */
+  getRequestErrors(/* request */) {
+    return [];
+  }
+
+  /*
+    Returns the JSON:API error objects for the request's query params that
+    are invalid for the primary resource returned by its route handler. See
+    the JSONAPISerializer's `strict` option.
+  */
+  getQueryParamErrors(/* request, primaryResource */) {
+    return [];
+  }
+
+  /*
+    Checks the `filter` option of a GET shorthand when its route is defined.
+    Plain query params can mean anything, so the keys to filter on must be
+    listed.
+  */
+  assertFilterOption(filter) {
+    assert(
+      Array.isArray(filter),
+      'This serializer reads filters from plain query params, so you must list the keys to filter on in the filter option, like { filter: ["title"] }.'
+    );
+  }
+
+  /**
+    Used by GET shorthands with the `filter` option to read the filters from the request's query params. Returns a hash of dot-separated attribute paths to the values they should match.
+
+    `keys` are the filters listed in the `filter` option. By default they're read from plain query params, so with `{ filter: ['title', 'author.name'] }`, `GET /blogPosts?title=Lorem&author.name=Link&page=2` would return
+
+    ```js
+    { title: 'Lorem', 'author.name': 'Link' }
+    ```
+
+    Since plain query params can mean anything, the keys must be listed.
+
+    @method getFilterParams
+    @param request
+    @param {Array} keys The keys listed in the `filter` option, if any
+    @return {Object}
+    @public
+   */
+  getFilterParams(request, keys) {
+    let queryParams = (request && request.queryParams) || {};
+
+    this.assertFilterOption(keys);
+
+    return keys
+      .filter(key => queryParams.hasOwnProperty(key))
+      .reduce((filters, key) => {
+        filters[key] = queryParams[key];
+
+        return filters;
+      }, {});
+  }
+
+  /**
+    Used by GET shorthands with the `sort` option to read the sort order from the request's query params. Returns an array of dot-separated attribute paths, where paths prefixed with `-` are sorted in descending order.
+
+    By default this reads the comma-separated `sort` param, so `GET /blogPosts?sort=-createdAt,title` would return
+
+    ```js
+    [ '-createdAt', 'title' ]
+    ```
+
+    @method getSortParams
+    @param request
+    @return {Array}
+    @public
+   */
+  getSortParams(request) {
+    let sort = request && request.queryParams && request.queryParams.sort;
+
+    return sort ? String(sort).split(',') : [];
+  }
 }
 
 // Defaults
@@ -1,12 +1,40 @@
 import Serializer from '../serializer';
 import { dasherize, pluralize, camelize } from '../utils/inflector';
+import { toModelName } from '../utils/normalize-name';
 import _get from 'lodash/get';
 import _flatten from 'lodash/flatten';
 import _compact from 'lodash/compact';
 import _uniqBy from 'lodash/uniqBy';
 import _isEmpty from 'lodash/isEmpty';
+import _assign from 'lodash/assign';
+import _pick from 'lodash/pick';
+import _isFunction from 'lodash/isFunction';
 import assert from 'ember-cli-mirage/assert';
 
+const MEDIA_TYPE = 'application/vnd.api+json';
+
+function lowerCaseKeys(object = {}) {
+  return Object.keys(object).reduce((result, key) => {
+    result[key.toLowerCase()] = object[key];
+
+    return result;
+  }, {});
+}
+
+/*
+  The JSON:API media type is supported as long as its only parameters are
+  `ext` and `profile`.
+*/
+function isSupportedMediaType(mediaType = '') {
+  let [ type, ...params ] = mediaType.split(';').map((part) => part.trim());
+
+  return type === MEDIA_TYPE && params.every((param) => {
+    let [ name ] = param.split('=');
+
+    return name === 'ext' || name === 'profile';
+  });
+}
+
 /**
   The JSONAPISerializer. Subclass of Serializer.
 
@@ -105,6 +133,52 @@ class JSONAPISerializer extends Serializer {
       @public
     */
     this.alwaysIncludeLinkageData = this.alwaysIncludeLinkageData || undefined; // this is just here so I can add the doc comment. Better way?
+
+    /**
+      The JSONAPISerializer supports [sparse fieldsets](http://jsonapi.org/format/#fetching-sparse-fieldsets) out of the box, so a GET request to /authors?fields[authors]=name would only add the `name` attribute to the resource objects of authors. The fieldsets apply to both primary and included resources, and to both attributes and relationships.
+
+      Use `defaultFieldset` on a model serializer to limit the fields of its type when the request has no `fields` query param for it:
+
+      ```js
+      // mirage/serializers/author.js
+      import ApplicationSerializer from './application';
+
+      export default ApplicationSerializer.extend({
+        defaultFieldset: ['name', 'blog-posts']
+      });
+      ```
+
+      The fields are the keys used in the payload, as returned by `keyForAttribute` and `keyForRelationship`. You can also define `defaultFieldset` as a function that receives the request.
+
+      @property defaultFieldset
+      @type {Array}
+      @public
+    */
+    this.defaultFieldset = this.defaultFieldset || undefined;
+
+    /**
+      By default, the JSONAPISerializer is lenient with the requests it receives. Set `strict` to `true` on your application serializer to respond to invalid requests with a JSON:API error document, like a spec-compliant server would:
+
+      - a `400` for `include` paths, `sort` fields and `fields` that don't exist,
+      - a `415` for requests with a body whose `Content-Type` isn't `application/vnd.api+json`, or has media type parameters other than `ext` and `profile`,
+      - a `406` for requests whose `Accept` header doesn't accept the JSON:API media type without such parameters.
+
+      ```js
+      // mirage/serializers/application.js
+      import { JSONAPISerializer } from 'ember-cli-mirage';
+
+      export default JSONAPISerializer.extend({
+        strict: true
+      });
+      ```
+
+      The media types are checked before the route handler runs, while the query params are checked against the models returned by the route handler. Attributes in `sort` and `fields` are checked against the attributes the models declare with `attr()`, so they're only checked for models that declare some.
+
+      @property strict
+      @type {Boolean}
+      @public
+    */
+    this.strict = this.strict || undefined;
   }
 
   // Don't think this is used?
@@ -200,6 +274,70 @@ class JSONAPISerializer extends Serializer {
   links() {
   }
 
+  /**
+    Adds pagination data to a paginated response. Following the JSON:API spec, the pagination links are added to the top-level `links` object, and the total number of records is added to `meta`:
+
+    ```js
+    {
+      data: [...],
+      meta: {
+        total: 42
+      },
+      links: {
+        first: '/blog-posts?page[number]=1&page[size]=10',
+        last: '/blog-posts?page[number]=5&page[size]=10',
+        prev: '/blog-posts?page[number]=1&page[size]=10',
+        next: '/blog-posts?page[number]=3&page[size]=10'
+      }
+    }
+    ```
+
+    @method serializePagination
+    @param json
+    @param pagination
+    @return { Object } the json response
+    @public
+  */
+  serializePagination(json, { total, links }) {
+    json.meta = _assign({}, json.meta, { total });
+    json.links = _assign({}, json.links, links);
+
+    return json;
+  }
+
+  /**
+    Returns the relationship document for one of the model's relationships, as returned by the relationship endpoints defined with the `relationships` option of `Server#resource`. For example, `GET /blog-posts/1/relationships/comments` would return
+
+    ```js
+    {
+      data: [
+        { type: 'comments', id: '1' },
+        { type: 'comments', id: '2' }
+      ]
+    }
+    ```
+
+    The links returned by the `links` hook for this relationship are added to the document as well.
+
+    @method serializeRelationship
+    @param model
+    @param {String} relationshipKey
+    @return { Object } the relationship document
+    @public
+  */
+  serializeRelationship(model, relationshipKey) {
+    let json = {
+      data: this._getLinkageDataForRelationship(model[relationshipKey])
+    };
+
+    if (this.hasLinksForRelationship(model, relationshipKey)) {
+      let serializer = this.serializerFor(model.modelName);
+      json.links = serializer.links(model)[relationshipKey];
+    }
+
+    return json;
+  }
+
   getHashForPrimaryResource(resource) {
     this._createRequestedIncludesGraph(resource);
 
@@ -301,24 +439,38 @@ class JSONAPISerializer extends Serializer {
   }
 
   _getResourceObjectForModel(model) {
+    let fieldset = this.getFieldsetForModel(model);
     let attrs = this._attrsForModel(model, true);
     delete attrs.id;
 
+    // The resource's type already names the model of a model sharing a collection
+    if (model.usesInheritance) {
+      delete attrs[this.keyForAttribute('type')];
+    }
+
+    if (fieldset) {
+      attrs = _pick(attrs, fieldset);
+    }
+
     let hash = {
       type: this.typeKeyForModel(model),
       id: model.id,
       attributes: attrs
     };
 
-    return this._maybeAddRelationshipsToResourceObjectForModel(hash, model);
+    return this._maybeAddRelationshipsToResourceObjectForModel(hash, model, fieldset);
   }
 
-  _maybeAddRelationshipsToResourceObjectForModel(hash, model) {
+  _maybeAddRelationshipsToResourceObjectForModel(hash, model, fieldset) {
     let relationships = model.associationKeys.reduce((relationships, key) => {
       let relationship = model[key];
       let relationshipKey = this.keyForRelationship(key);
       let relationshipHash = {};
 
+      if (fieldset && fieldset.indexOf(relationshipKey) === -1) {
+        return relationships;
+      }
+
       if (this.hasLinksForRelationship(model, key)) {
         let serializer = this.serializerFor(model.modelName);
         let links = serializer.links(model);
@@ -326,21 +478,7 @@ class JSONAPISerializer extends Serializer {
       }
 
       if (this.alwaysIncludeLinkageData || this.shouldIncludeLinkageData(key, model) || this._relationshipIsIncludedForModel(key, model)) {
-        let data = null;
-        if (this.isModel(relationship)) {
-          data = {
-            type: this.typeKeyForModel(relationship),
-            id: relationship.id
-          };
-        } else if (this.isCollection(relationship)) {
-          data = relationship.models.map((model) => {
-            return {
-              type: this.typeKeyForModel(model),
-              id: model.id
-            };
-          });
-        }
-        relationshipHash.data = data;
+        relationshipHash.data = this._getLinkageDataForRelationship(relationship);
       }
 
       if (!_isEmpty(relationshipHash)) {
@@ -357,6 +495,45 @@ class JSONAPISerializer extends Serializer {
     return hash;
   }
 
+  _getLinkageDataForRelationship(relationship) {
+    let data = null;
+
+    if (this.isModel(relationship)) {
+      data = {
+        type: this.typeKeyForModel(relationship),
+        id: relationship.id
+      };
+    } else if (this.isCollection(relationship)) {
+      data = relationship.models.map((model) => {
+        return {
+          type: this.typeKeyForModel(model),
+          id: model.id
+        };
+      });
+    }
+
+    return data;
+  }
+
+  /*
+    Returns the sparse fieldset for the model's type, from the request's
+    `fields[type]` query param or else the serializer's `defaultFieldset`.
+    Returns undefined if all fields should be serialized.
+  */
+  getFieldsetForModel(model) {
+    let type = this.typeKeyForModel(model);
+    let fields = _get(this, ['request', 'queryParams', `fields[${type}]`]);
+
+    if (typeof fields === 'string') {
+      return fields ? fields.split(',') : [];
+    }
+
+    let serializer = this.serializerFor(model.modelName);
+    let { defaultFieldset } = serializer;
+
+    return _isFunction(defaultFieldset) ? defaultFieldset.call(serializer, this.request) : defaultFieldset;
+  }
+
   hasLinksForRelationship(model, relationshipKey) {
     let serializer = this.serializerFor(model.modelName);
     let links = serializer.links(model);
@@ -552,6 +729,211 @@ class JSONAPISerializer extends Serializer {
     return ids;
   }
 
+  /**
+    Reads the filters of a GET shorthand with the `filter` option from the request's `filter` query params. For example, `GET /blog-posts?filter[title]=Lorem&filter[author.name]=Link` would return
+
+    ```js
+    { title: 'Lorem', 'author.name': 'Link' }
+    ```
+
+    Nested params like `filter[author][name]` are supported as well. If the `filter` option lists keys, only those are read.
+
+    @method getFilterParams
+    @param request
+    @param {Array} keys The keys listed in the `filter` option, if any
+    @return {Object}
+    @public
+  */
+  /*
+    Filters are read from `filter[...]` params, so the `filter` option doesn't
+    need to list them.
+  */
+  assertFilterOption() {}
+
+  getFilterParams(request, keys) {
+    let queryParams = (request && request.queryParams) || {};
+
+    return Object.keys(queryParams).reduce((filters, key) => {
+      let match = key.match(/^filter\[(.+)\]$/);
+      let path = match && match[1].split('][').join('.');
+
+      if (match && (!Array.isArray(keys) || keys.indexOf(path) > -1)) {
+        filters[path] = queryParams[key];
+      }
+
+      return filters;
+    }, {});
+  }
+
+  /*
+    Returns the JSON:API error objects for a request whose media types aren't
+    supported, when the serializer is strict.
+  */
+  getRequestErrors(request) {
+    if (!this.strict) {
+      return [];
+    }
+
+    let headers = lowerCaseKeys(request.requestHeaders);
+    let contentType = headers['content-type'];
+
+    if (request.requestBody && !isSupportedMediaType(contentType)) {
+      return [{
+        status: '415',
+        title: 'Unsupported Media Type',
+        detail: `The Content-Type of the request must be ${MEDIA_TYPE}, but it was ${contentType}.`
+      }];
+    }
+
+    let accept = headers.accept;
+    let isAcceptable = !accept || accept.split(',').some((mediaRange) => {
+      let [ type ] = mediaRange.split(';');
+      type = type.trim();
+
+      let mediaType = mediaRange.split(';').filter((param) => !/^\s*q=/.test(param)).join(';');
+
+      return type === '*/*' || type === 'application/*' || isSupportedMediaType(mediaType);
+    });
+
+    if (!isAcceptable) {
+      return [{
+        status: '406',
+        title: 'Not Acceptable',
+        detail: `The Accept header of the request must accept ${MEDIA_TYPE}, but it was ${accept}.`
+      }];
+    }
+
+    return [];
+  }
+
+  /*
+    Returns the JSON:API error objects for the `include`, `sort` and `fields`
+    query params that don't exist for the primary resource, when the
+    serializer is strict.
+  */
+  getQueryParamErrors(request, primaryResource) {
+    if (!this.strict) {
+      return [];
+    }
+
+    let queryParams = (request && request.queryParams) || {};
+    let errors = [];
+    let invalidParam = (parameter, detail) => {
+      errors.push({ status: '400', title: 'Invalid Query Parameter', detail, source: { parameter } });
+    };
+    let type = dasherize(pluralize(primaryResource.modelName));
+
+    if (queryParams.include) {
+      queryParams.include.split(',').forEach((path) => {
+        if (!this._modelNameForPath(primaryResource.modelName, path.split('.'))) {
+          invalidParam('include', `The relationship path '${path}' does not exist on ${type}.`);
+        }
+      });
+    }
+
+    if (queryParams.sort) {
+      queryParams.sort.split(',').forEach((field) => {
+        let path = field.replace(/^-/, '').split('.');
+        let attr = path.pop();
+        let modelName = this._modelNameForPath(primaryResource.modelName, path);
+        let attributeKeys = modelName && modelName !== true && this._attributeKeysForModelName(modelName);
+        let isValid = modelName === true
+          || (modelName && (attr === 'id' || !attributeKeys || attributeKeys.indexOf(attr) > -1));
+
+        if (!isValid) {
+          invalidParam('sort', `The sort field '${field}' does not exist on ${type}.`);
+        }
+      });
+    }
+
+    Object.keys(queryParams).forEach((key) => {
+      let match = key.match(/^fields\[(.+)\]$/);
+      if (!match) {
+        return;
+      }
+
+      let modelName = toModelName(match[1]);
+      if (!this.schema.hasModelForModelName(modelName)) {
+        invalidParam(key, `The type '${match[1]}' does not exist.`);
+        return;
+      }
+
+      let attributeKeys = this._attributeKeysForModelName(modelName);
+      if (!attributeKeys) {
+        return;
+      }
+
+      let serializer = this.serializerFor(modelName);
+      let relationshipKeys = Object.keys(this.schema.associationsFor(modelName)).map((key) => serializer.keyForRelationship(key));
+      let fields = attributeKeys.concat(relationshipKeys);
+
+      queryParams[key].split(',').filter(Boolean).forEach((field) => {
+        if (fields.indexOf(field) === -1) {
+          invalidParam(key, `The field '${field}' does not exist on ${match[1]}.`);
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  /*
+    Follows a path of relationship keys from a model, and returns the name of
+    the model at the end of the path, or undefined if one of the
+    relationships doesn't exist. Returns true for paths through polymorphic
+    relationships, since their models can't be known.
+  */
+  _modelNameForPath(modelName, path) {
+    for (let i = 0; i < path.length; i++) {
+      let association = this.schema.associationsFor(modelName)[camelize(path[i])];
+
+      if (!association) {
+        return undefined;
+      } else if (association.isPolymorphic) {
+        return true;
+      }
+
+      modelName = association.modelName;
+    }
+
+    return modelName;
+  }
+
+  /*
+    Returns the keys of the attributes a model declares, along with the ones
+    Mirage maintains for it: timestamps, `deletedAt` and counter caches.
+    Returns null if the model doesn't declare any attributes, since they
+    can't be known then.
+  */
+  _attributeKeysForModelName(modelName) {
+    let modelClass = this.schema.modelClassFor(modelName);
+    let keys = Object.keys(modelClass.attrDefinitions);
+    if (keys.length === 0) {
+      return null;
+    }
+
+    let hasTimestamps = modelClass.timestamps === undefined ? this.schema.timestamps : modelClass.timestamps;
+    if (hasTimestamps) {
+      keys.push('createdAt', 'updatedAt');
+    }
+    if (modelClass.paranoid) {
+      keys.push('deletedAt');
+    }
+    this.schema.dependentAssociationsFor(modelName).forEach((association) => {
+      if (association.counterCacheKey) {
+        keys.push(association.counterCacheKey);
+      }
+    });
+
+    let associations = this.schema.associationsFor(modelName);
+    let foreignKeys = Object.keys(associations).map((key) => associations[key].getForeignKey());
+    let serializer = this.serializerFor(modelName);
+
+    return keys
+      .filter((key) => key !== 'id' && foreignKeys.indexOf(key) === -1)
+      .map((key) => serializer.keyForAttribute(key));
+  }
+
   /**
     Allows for per-relationship inclusion of linkage data. Use this when `alwaysIncludeLinkageData` is not granular enough.
 
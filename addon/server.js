@@ -1,7 +1,7 @@
 /* eslint no-console: 0 */
 
 import { singularize, pluralize, camelize } from './utils/inflector';
-import { toCollectionName, toInternalCollectionName } from 'ember-cli-mirage/utils/normalize-name';
+import { toCollectionName, toInternalCollectionName, toModelName } from 'ember-cli-mirage/utils/normalize-name';
 import { getModels } from './ember-data';
 import { hasEmberData } from './utils/ember-data';
 import isAssociation from 'ember-cli-mirage/utils/is-association';
@@ -11,6 +11,10 @@ import Schema from './orm/schema';
 import assert from './assert';
 import SerializerRegistry from './serializer-registry';
 import RouteHandler from './route-handler';
+import Response from './response';
+import { relationshipHandlerFor, relatedResourceHandlerFor } from './route-handlers/relationships';
+import atomicOperationsHandler from './route-handlers/atomic-operations';
+import { getParentForRequest, getChildFromParent, getChildrenFromParent } from './route-handlers/shorthands/base';
 import BelongsTo from './orm/associations/belongs-to';
 
 import _pick from 'lodash/pick';
@@ -75,7 +79,11 @@ function createPretender(server) {
 
 const defaultRouteOptions = {
   coalesce: false,
-  timing: undefined
+  filter: false,
+  sort: false,
+  paginate: false,
+  timing: undefined,
+  transactional: undefined
 };
 
 /**
@@ -141,6 +149,39 @@ function extractRouteArguments(args) {
   return args;
 }
 
+/**
+ * Wraps the handler of a custom resource action, so that it receives the
+ * model (for member actions) or the collection (for collection actions)
+ * instead of the schema. For a nested resource, the model or collection is
+ * looked up among the children of the parent, like nested shorthands do.
+ *
+ * @method customResourceActionHandler
+ * @param {String} type Either 'member' or 'collection'.
+ * @param {String} modelName
+ * @param {Function} handler
+ * @param {Object} parentPath The parent of a nested resource, if any.
+ * @return {Function} A function route handler.
+ * @private
+ */
+function customResourceActionHandler(type, modelName, handler, parentPath) {
+  return function(schema, request) {
+    let collection = schema[toCollectionName(modelName)];
+    let parent = getParentForRequest(schema, parentPath, modelName, request);
+
+    if (parent && !parent.model) {
+      return new Response(404);
+    }
+
+    if (type === 'member') {
+      let model = parent ? getChildFromParent(schema, modelName, parent) : collection.find(request.params.id);
+
+      return model ? handler.call(this, model, request) : new Response(404);
+    }
+
+    return handler.call(this, parent ? getChildrenFromParent(schema, modelName, parent) : collection.all(), request);
+  };
+}
+
 /**
   The Mirage server.
 
@@ -253,6 +294,34 @@ export default class Server {
     */
     this.timing = this.timing || config.timing || 400;
 
+    /**
+      Whether route handlers run in a database transaction. If a handler throws an error, or responds with a status code outside of the 2xx range, every change it made to the database is rolled back, like a real server's database would.
+
+      To turn it on for individual routes, pass the `transactional` option:
+
+      ```js
+      this.post('/orders', (schema, request) => {
+        // ...
+      }, { transactional: true });
+      ```
+
+      To turn it on for all routes, set it in your config. Routes can still opt out with `{ transactional: false }`:
+
+      ```js
+      // mirage/config.js
+      export default function() {
+        this.transactional = true;
+      };
+      ```
+
+      Defaults to `false`.
+
+      @property transactional
+      @type Boolean
+      @public
+    */
+    this.transactional = this.transactional || config.transactional || false;
+
     /**
       Set to `true` or `false` to explicitly specify logging behavior.
 
@@ -779,9 +848,21 @@ export default class Server {
     }
   }
 
-  resource(resourceName, { only, except, path } = {}) {
+  resource(resourceName, { only, except, path, parent, member, collection, relationships } = {}) {
     resourceName = pluralize(resourceName);
     path = path || `/${resourceName}`;
+
+    let parentPath;
+    if (parent) {
+      parentPath = {
+        modelName: toModelName(parent),
+        idParam: `${camelize(singularize(pluralize(parent)))}Id`,
+        key: camelize(resourceName),
+        childIdParam: 'id'
+      };
+      parent = pluralize(parent);
+      path = `/${parent}/:${camelize(singularize(parent))}Id${path[0] === '/' ? '' : '/'}${path}`;
+    }
     only = only || [];
     except = except || [];
 
@@ -797,6 +878,24 @@ export default class Server {
       delete: { methods: ['del'], path: `${path}/:id` }
     };
 
+    [['member', member, `${path}/:id`], ['collection', collection, path]].forEach(([type, customActions = {}, actionsPath]) => {
+      Object.keys(customActions).forEach((action) => {
+        assert(
+          !actionsMethodsAndsPathsMappings[action],
+          `You defined the custom ${type} action '${action}' on the '${resourceName}' resource, but an action with that name already exists.`
+        );
+
+        let customAction = typeof customActions[action] === 'function' ? { handler: customActions[action] } : customActions[action];
+        let method = customAction.method || 'get';
+
+        actionsMethodsAndsPathsMappings[action] = {
+          methods: [method === 'delete' ? 'del' : method],
+          path: `${actionsPath}/${customAction.path || action}`,
+          handler: customResourceActionHandler(type, toModelName(resourceName), customAction.handler, parentPath)
+        };
+      });
+    });
+
     let allActions = Object.keys(actionsMethodsAndsPathsMappings);
     let actions = only.length > 0 && only
                   || except.length > 0 && allActions.filter((action) => (except.indexOf(action) === -1))
@@ -806,11 +905,72 @@ export default class Server {
       let methodsWithPath = actionsMethodsAndsPathsMappings[action];
 
       methodsWithPath.methods.forEach((method) => {
+        if (methodsWithPath.handler) {
+          return this[method](methodsWithPath.path, methodsWithPath.handler);
+        }
+
         return path === resourceName
           ? this[method](methodsWithPath.path)
           : this[method](methodsWithPath.path, resourceName);
       });
     });
+
+    if (relationships) {
+      this._defineRelationshipRoutes(toModelName(resourceName), path, relationships);
+    }
+  }
+
+  /**
+    Defines a POST route for the [JSON:API Atomic Operations](https://jsonapi.org/ext/atomic/) extension.
+
+    ```js
+    this.atomicOperations('/operations');
+    ```
+
+    The route accepts an `atomic:operations` document with `add`, `update` and `remove` operations, which can reference the resources added by previous operations with a local id (`lid`). The operations are applied in order using the schema, and the route responds with an `atomic:results` document.
+
+    If an operation fails, the changes made by the previous ones are rolled back, and the route responds with an error document pointing to the failed operation.
+
+    @method atomicOperations
+    @param {String} path Defaults to `/operations`.
+    @param options
+    @public
+  */
+  atomicOperations(path = '/operations', ...args) {
+    return this.post(path, atomicOperationsHandler, ...args);
+  }
+
+  /**
+   * Defines the JSON:API relationship and related resource routes for the
+   * given associations of a resource.
+   *
+   * @method _defineRelationshipRoutes
+   * @param {String} modelName
+   * @param {String} path
+   * @param {Boolean|Array} keys All associations if true.
+   * @private
+   * @hide
+   */
+  _defineRelationshipRoutes(modelName, path, keys) {
+    let serializer = this.serializerOrRegistry.serializerFor(modelName);
+
+    assert(
+      serializer.serializeRelationship,
+      `You used the relationships option when defining the '${modelName}' resource, but its serializer isn't a JSONAPISerializer.`
+    );
+
+    if (keys === true) {
+      keys = Object.keys(this.schema.associationsFor(modelName));
+    }
+
+    keys.forEach((key) => {
+      let relationshipPath = `${path}/:id/relationships/${serializer.keyForRelationship(key)}`;
+
+      ['get', 'patch', 'post', 'delete'].forEach((verb) => {
+        this[verb](relationshipPath, relationshipHandlerFor(verb, modelName, key));
+      });
+      this.get(`${path}/:id/${serializer.keyForRelationship(key)}`, relatedResourceHandlerFor(modelName, key));
+    });
   }
 
   /**
@@ -844,7 +1004,8 @@ export default class Server {
     let routeHandler = new RouteHandler({
       schema: this.schema,
       verb, rawHandler, customizedCode, options, path,
-      serializerOrRegistry: this.serializerOrRegistry
+      serializerOrRegistry: this.serializerOrRegistry,
+      isTransactional: () => (options.transactional !== undefined ? options.transactional : this.transactional)
     });
 
     let fullPath = this._getFullPath(path);
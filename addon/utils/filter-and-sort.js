@@ -0,0 +1,95 @@
+import { camelize } from './inflector';
+import _flatten from 'lodash/flatten';
+
+/**
+  Returns the values found by following a dot-separated `path` from `model`,
+  e.g. `author.name`. Paths through hasMany associations fan out, so an array
+  of values is always returned.
+
+  @hide
+*/
+export function valuesForPath(model, path) {
+  let keys = path.split('.').map(key => camelize(key));
+
+  return keys.reduce((values, key) => {
+    return _flatten(values.map(value => {
+      let next = value ? value[key] : undefined;
+
+      return next && next.models ? next.models : [ next ];
+    }));
+  }, [ model ]);
+}
+
+function compare(a, b) {
+  let aIsBlank = a === undefined || a === null;
+  let bIsBlank = b === undefined || b === null;
+
+  if (aIsBlank || bIsBlank) {
+    return aIsBlank === bIsBlank ? 0 : (aIsBlank ? -1 : 1);
+  } else if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  } else if (a instanceof Date && b instanceof Date) {
+    return a.getTime() - b.getTime();
+  } else {
+    a = String(a);
+    b = String(b);
+
+    return a < b ? -1 : (a > b ? 1 : 0);
+  }
+}
+
+/**
+  Returns a new Collection with the models that match every filter in
+  `filters`, a hash of dot-separated attribute paths to values. String
+  comparison is used, and a comma-separated value matches any of its parts.
+
+  ```js
+  filter(posts, { title: 'Lorem', 'author.name': 'Link,Zelda' });
+  ```
+
+  @hide
+*/
+export function filter(collection, filters) {
+  let paths = Object.keys(filters);
+
+  return collection.filter(model => {
+    return paths.every(path => {
+      let expected = String(filters[path]).split(',');
+
+      return valuesForPath(model, path)
+        .some(value => expected.indexOf(String(value)) > -1);
+    });
+  });
+}
+
+/**
+  Returns a new Collection sorted by `sortKeys`, an array of dot-separated
+  attribute paths. Keys prefixed with `-` are sorted in descending order.
+
+  ```js
+  sort(posts, [ '-createdAt', 'author.name' ]);
+  ```
+
+  @hide
+*/
+export function sort(collection, sortKeys) {
+  let sorts = sortKeys.map(sortKey => {
+    let isDescending = sortKey[0] === '-';
+    let path = isDescending ? sortKey.slice(1) : sortKey;
+
+    return { path, direction: isDescending ? -1 : 1 };
+  });
+
+  return collection.sort((a, b) => {
+    for (let i = 0; i < sorts.length; i++) {
+      let { path, direction } = sorts[i];
+      let result = compare(valuesForPath(a, path)[0], valuesForPath(b, path)[0]);
+
+      if (result !== 0) {
+        return result * direction;
+      }
+    }
+
+    return 0;
+  });
+}
@@ -0,0 +1,174 @@
+import _assign from 'lodash/assign';
+import _omit from 'lodash/omit';
+
+const DEFAULT_PAGE_SIZE = 20;
+
+function toInteger(value) {
+  let number = parseInt(value, 10);
+
+  return isNaN(number) ? undefined : number;
+}
+
+function hasParam(queryParams, key) {
+  return queryParams[key] !== undefined && queryParams[key] !== null && queryParams[key] !== '';
+}
+
+function urlFor(request, params) {
+  let [ path ] = request.url.split('?');
+  let queryParams = _assign(_omit(request.queryParams, Object.keys(params)), params);
+
+  let queryString = Object.keys(queryParams)
+    .filter(key => queryParams[key] !== undefined && queryParams[key] !== null)
+    .map(key => {
+      let value = queryParams[key];
+
+      if (Array.isArray(value)) {
+        return value.map(v => `${key}[]=${encodeURIComponent(v)}`).join('&');
+      } else {
+        return `${key}=${encodeURIComponent(value)}`;
+      }
+    })
+    .join('&');
+
+  return queryString ? `${path}?${queryString}` : path;
+}
+
+function pageSizeFor(value, options) {
+  let size = toInteger(value);
+
+  if (!size || size < 1) {
+    size = options.pageSize || DEFAULT_PAGE_SIZE;
+  }
+
+  if (options.maxPageSize) {
+    size = Math.min(size, options.maxPageSize);
+  }
+
+  return size;
+}
+
+function strategyFor(queryParams) {
+  let isCursor = ['page[after]', 'page[before]', 'after', 'before'].some(key => hasParam(queryParams, key));
+  let isOffset = ['page[offset]', 'page[limit]', 'offset', 'limit'].some(key => hasParam(queryParams, key));
+
+  if (isCursor) {
+    return 'cursor';
+  } else if (isOffset) {
+    return 'offset';
+  } else {
+    return 'page';
+  }
+}
+
+function paginateByPage(collection, request, options) {
+  let queryParams = request.queryParams || {};
+  let numberKey = 'page[number]';
+  let sizeKey = 'page[size]';
+  let total = collection.length;
+  let size = pageSizeFor(queryParams[sizeKey], options);
+  let number = Math.max(toInteger(queryParams[numberKey]) || 1, 1);
+  let lastNumber = Math.max(Math.ceil(total / size), 1);
+  let start = (number - 1) * size;
+  let link = (n) => urlFor(request, { [numberKey]: n, [sizeKey]: size });
+
+  let links = { first: link(1), last: link(lastNumber) };
+  if (number > 1) {
+    links.prev = link(Math.min(number - 1, lastNumber));
+  }
+  if (number < lastNumber) {
+    links.next = link(number + 1);
+  }
+
+  return { collection: collection.slice(start, start + size), total, links };
+}
+
+function paginateByOffset(collection, request, options) {
+  let queryParams = request.queryParams || {};
+  let isJsonApiStyle = ['page[offset]', 'page[limit]'].some(key => hasParam(queryParams, key));
+  let offsetKey = isJsonApiStyle ? 'page[offset]' : 'offset';
+  let limitKey = isJsonApiStyle ? 'page[limit]' : 'limit';
+  let total = collection.length;
+  let limit = pageSizeFor(queryParams[limitKey], options);
+  let offset = Math.max(toInteger(queryParams[offsetKey]) || 0, 0);
+  let lastOffset = Math.max(Math.ceil(total / limit) - 1, 0) * limit;
+  let link = (o) => urlFor(request, { [offsetKey]: o, [limitKey]: limit });
+
+  let links = { first: link(0), last: link(lastOffset) };
+  if (offset > 0) {
+    links.prev = link(Math.max(Math.min(offset - limit, lastOffset), 0));
+  }
+  if (offset + limit < total) {
+    links.next = link(offset + limit);
+  }
+
+  return { collection: collection.slice(offset, offset + limit), total, links };
+}
+
+function paginateByCursor(collection, request, options) {
+  let queryParams = request.queryParams || {};
+  let isJsonApiStyle = ['page[after]', 'page[before]'].some(key => hasParam(queryParams, key));
+  let afterKey = isJsonApiStyle ? 'page[after]' : 'after';
+  let beforeKey = isJsonApiStyle ? 'page[before]' : 'before';
+  let sizeKey = isJsonApiStyle ? 'page[size]' : 'limit';
+  let total = collection.length;
+  let size = pageSizeFor(queryParams[sizeKey], options);
+  let ids = collection.models.map(model => model.id.toString());
+  let start, end;
+
+  if (hasParam(queryParams, afterKey)) {
+    start = ids.indexOf(queryParams[afterKey].toString()) + 1;
+    end = Math.min(start + size, total);
+  } else {
+    let index = ids.indexOf(queryParams[beforeKey].toString());
+    end = index === -1 ? total : index;
+    start = Math.max(end - size, 0);
+  }
+
+  let page = collection.slice(start, end);
+  let link = (params) => urlFor(request, _assign({ [afterKey]: undefined, [beforeKey]: undefined, [sizeKey]: size }, params));
+
+  let links = { first: link({}) };
+  if (start > 0) {
+    links.prev = link({ [beforeKey]: ids[start] });
+  }
+  if (end < total) {
+    links.next = link({ [afterKey]: ids[end - 1] });
+  }
+
+  return { collection: page, total, links };
+}
+
+/**
+  Slices `collection` according to the pagination query params of `request`.
+
+  Page-based (`page[number]`, `page[size]`), offset-based (`offset`/`limit`
+  or `page[offset]`/`page[limit]`) and cursor-based (`after`/`before` or
+  `page[after]`/`page[before]`, using model ids as cursors) params are
+  supported. Returns an object with the sliced `collection`, the `total`
+  number of models and the `links` to the first, last, previous and next
+  pages (cursor-based pagination has no last page).
+
+  @hide
+*/
+export default function paginate(collection, request, options = {}) {
+  let strategy = strategyFor(request.queryParams || {});
+
+  if (strategy === 'cursor') {
+    return paginateByCursor(collection, request, options);
+  } else if (strategy === 'offset') {
+    return paginateByOffset(collection, request, options);
+  } else {
+    return paginateByPage(collection, request, options);
+  }
+}
+
+/**
+  Formats pagination links as the value of a `Link` header.
+
+  @hide
+*/
+export function linkHeaderFor(links) {
+  return Object.keys(links)
+    .map(rel => `<${links[rel]}>; rel="${rel}"`)
+    .join(', ');
+}
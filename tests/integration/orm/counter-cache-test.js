@@ -0,0 +1,123 @@
+import Schema from 'ember-cli-mirage/orm/schema';
+import Db from 'ember-cli-mirage/db';
+import { Model, belongsTo, hasMany } from 'ember-cli-mirage';
+import { module, test } from 'qunit';
+
+module('Integration | ORM | counterCache', function(hooks) {
+  hooks.beforeEach(function() {
+    this.schema = new Schema(new Db(), {
+      post: Model.extend({
+        comments: hasMany()
+      }),
+      comment: Model.extend({
+        post: belongsTo({ counterCache: 'commentsCount' })
+      }),
+      author: Model,
+      book: Model.extend({
+        author: belongsTo({ inverse: null, counterCache: true })
+      }),
+      note: Model.extend({
+        paranoid: true,
+        post: belongsTo({ inverse: null, counterCache: 'notesCount' })
+      })
+    });
+  });
+
+  test('new models start with a count of zero', function(assert) {
+    let post = this.schema.posts.create();
+
+    assert.equal(post.commentsCount, 0);
+    assert.equal(this.schema.db.posts.find(1).commentsCount, 0);
+  });
+
+  test('creating and destroying owners updates the count', function(assert) {
+    let post = this.schema.posts.create();
+    let comment = this.schema.comments.create({ post });
+    this.schema.comments.create({ post });
+
+    assert.equal(post.reload().commentsCount, 2);
+
+    comment.destroy();
+
+    assert.equal(post.reload().commentsCount, 1);
+  });
+
+  test('moving an owner updates the counts of both associated models', function(assert) {
+    let lorem = this.schema.posts.create();
+    let ipsum = this.schema.posts.create();
+    let comment = this.schema.comments.create({ post: lorem });
+
+    comment.update({ post: ipsum });
+
+    assert.equal(lorem.reload().commentsCount, 0);
+    assert.equal(ipsum.reload().commentsCount, 1);
+
+    comment.update({ postId: null });
+
+    assert.equal(ipsum.reload().commentsCount, 0);
+  });
+
+  test('associating and disassociating from the other side updates the count', function(assert) {
+    let lorem = this.schema.posts.create();
+    let ipsum = this.schema.posts.create();
+    let [ first, second ] = [ this.schema.comments.create({ post: ipsum }), this.schema.comments.create() ];
+
+    lorem.update({ comments: [ first, second ] });
+
+    assert.equal(lorem.commentsCount, 2);
+    assert.equal(ipsum.reload().commentsCount, 0);
+
+    lorem.update({ comments: [ second ] });
+
+    assert.equal(lorem.commentsCount, 1);
+    assert.equal(this.schema.db.posts.find(lorem.id).commentsCount, 1);
+  });
+
+  test('saving the associated model keeps the count', function(assert) {
+    let post = this.schema.posts.create();
+    let stalePost = this.schema.posts.find(post.id);
+    this.schema.comments.create({ post });
+
+    stalePost.update({ title: 'Lorem' });
+
+    assert.equal(stalePost.commentsCount, 1);
+    assert.equal(post.reload().commentsCount, 1);
+  });
+
+  test('the owners are counted through an index on their foreign key', function(assert) {
+    let [ lorem, ipsum ] = [ this.schema.posts.create(), this.schema.posts.create() ];
+    for (let i = 0; i < 10; i++) {
+      this.schema.comments.create({ post: i % 3 ? lorem : ipsum });
+    }
+
+    assert.ok(this.schema.db._collections.find(({ name }) => name === 'comments')._indexes.postId);
+    assert.equal(lorem.reload().commentsCount, 6);
+    assert.equal(ipsum.reload().commentsCount, 4);
+  });
+
+  test('counterCache: true names the attribute after the owners', function(assert) {
+    let author = this.schema.authors.create();
+    this.schema.books.create({ author });
+
+    assert.equal(author.reload().booksCount, 1);
+  });
+
+  test('soft-deleted owners are not counted', function(assert) {
+    let post = this.schema.posts.create();
+    let note = this.schema.notes.create({ post });
+
+    note.destroy();
+
+    assert.equal(post.reload().notesCount, 0);
+
+    note.restore();
+
+    assert.equal(post.reload().notesCount, 1);
+  });
+
+  test('a polymorphic belongsTo can\'t have a counterCache', function(assert) {
+    assert.throws(function() {
+      belongsTo('commentable', { polymorphic: true, counterCache: true });
+    }, /can't have a counterCache/);
+  });
+});
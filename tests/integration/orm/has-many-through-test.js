@@ -0,0 +1,103 @@
+import Schema from 'ember-cli-mirage/orm/schema';
+import Db from 'ember-cli-mirage/db';
+import { Model, belongsTo, hasMany } from 'ember-cli-mirage';
+import { module, test } from 'qunit';
+
+module('Integration | ORM | hasMany through', function(hooks) {
+  hooks.beforeEach(function() {
+    this.schema = new Schema(new Db(), {
+      post: Model.extend({
+        taggings: hasMany(),
+        tags: hasMany({ through: 'tagging' })
+      }),
+      tag: Model.extend({
+        posts: hasMany({ through: 'tagging' })
+      }),
+      tagging: Model.extend({
+        post: belongsTo(),
+        tag: belongsTo()
+      }),
+      user: Model.extend({
+        followers: hasMany('user', { through: 'follow', source: 'follower' })
+      }),
+      follow: Model.extend({
+        followed: belongsTo('user', { inverse: null }),
+        follower: belongsTo('user', { inverse: null })
+      })
+    });
+
+    this.schema.tags.create({ name: 'Hyrule' });
+    this.schema.tags.create({ name: 'Zelda' });
+    this.schema.tags.create({ name: 'Link' });
+  });
+
+  test('it reads the associated models through the join models', function(assert) {
+    let post = this.schema.posts.create({ title: 'Lorem' });
+    this.schema.taggings.create({ post, tagId: '2', role: 'primary' });
+    this.schema.taggings.create({ post, tagId: '1', role: 'secondary' });
+
+    assert.deepEqual(post.tags.models.map(tag => tag.name), ['Zelda', 'Hyrule']);
+    assert.deepEqual(post.tagIds, ['2', '1']);
+    assert.deepEqual(this.schema.tags.find(1).posts.models.map(post => post.title), ['Lorem']);
+  });
+
+  test('creating a model with associated models creates the join models', function(assert) {
+    let post = this.schema.posts.create({ title: 'Lorem', tagIds: ['1', '2'] });
+
+    assert.deepEqual(this.schema.db.taggings, [
+      { id: '1', postId: '1', tagId: '1' },
+      { id: '2', postId: '1', tagId: '2' }
+    ]);
+    assert.deepEqual(this.schema.db.posts.find(1), { id: '1', title: 'Lorem', taggingIds: ['1', '2'] }, 'the ids are not stored on the owner');
+    assert.deepEqual(post.taggingIds, ['1', '2']);
+  });
+
+  test('updating the association keeps the remaining join models and their attributes', function(assert) {
+    let post = this.schema.posts.create({ title: 'Lorem' });
+    this.schema.taggings.create({ post, tagId: '1', role: 'primary' });
+    this.schema.taggings.create({ post, tagId: '2', role: 'secondary' });
+
+    post.update({ tags: [ this.schema.tags.find(1), this.schema.tags.find(3) ] });
+
+    assert.deepEqual(this.schema.db.taggings, [
+      { id: '1', postId: '1', tagId: '1', role: 'primary' },
+      { id: '3', postId: '1', tagId: '3' }
+    ]);
+    assert.deepEqual(post.reload().tagIds, ['1', '3']);
+  });
+
+  test('the association is only written when the model is saved', function(assert) {
+    let post = this.schema.posts.create({ title: 'Lorem' });
+
+    post.tagIds = ['1'];
+    assert.equal(this.schema.db.taggings.length, 0);
+    assert.deepEqual(post.tagIds, ['1']);
+
+    post.save();
+    assert.equal(this.schema.db.taggings.length, 1);
+
+    post.tags = null;
+    post.save();
+    assert.equal(this.schema.db.taggings.length, 0);
+  });
+
+  test('destroying the owner destroys its join models', function(assert) {
+    let post = this.schema.posts.create({ title: 'Lorem', tagIds: ['1', '2'] });
+
+    post.destroy();
+
+    assert.equal(this.schema.db.taggings.length, 0);
+    assert.equal(this.schema.db.tags.length, 3);
+  });
+
+  test('the source option picks the join association of reflexive associations', function(assert) {
+    let link = this.schema.users.create({ name: 'Link' });
+    let zelda = this.schema.users.create({ name: 'Zelda' });
+
+    link.update({ followers: [ zelda ] });
+
+    assert.deepEqual(this.schema.db.follows, [{ id: '1', followedId: '1', followerId: '2' }]);
+    assert.deepEqual(link.followers.models.map(user => user.name), ['Zelda']);
+    assert.equal(zelda.followers.length, 0);
+  });
+});
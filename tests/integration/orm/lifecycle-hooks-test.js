@@ -0,0 +1,78 @@
+import Schema from 'ember-cli-mirage/orm/schema';
+import Db from 'ember-cli-mirage/db';
+import { Model, attr, belongsTo } from 'ember-cli-mirage';
+import { module, test } from 'qunit';
+
+module('Integration | ORM | lifecycle hooks', function(hooks) {
+  hooks.beforeEach(function() {
+    let calls = this.calls = [];
+
+    this.schema = new Schema(new Db(), {
+      post: Model.extend({
+        slug: attr('string'),
+
+        validations: {
+          title: { presence: true }
+        },
+
+        beforeSave() {
+          calls.push(`beforeSave ${this.isNew()}`);
+          this.slug = this.title && this.title.toLowerCase().replace(/\s+/g, '-');
+        },
+
+        beforeCreate() {
+          calls.push('beforeCreate');
+        },
+
+        afterCreate(schema) {
+          calls.push(`afterCreate ${this.isSaved()}`);
+          schema.activities.create({ action: 'created', postId: this.id });
+        },
+
+        afterDestroy(schema) {
+          calls.push(`afterDestroy ${this.isNew()}`);
+          schema.activities.create({ action: 'destroyed' });
+        }
+      }),
+      activity: Model.extend({
+        post: belongsTo({ inverse: null })
+      })
+    });
+  });
+
+  test('creating a model runs beforeSave, beforeCreate and afterCreate', function(assert) {
+    let post = this.schema.posts.create({ title: 'Lorem Ipsum' });
+
+    assert.deepEqual(this.calls, ['beforeSave true', 'beforeCreate', 'afterCreate true']);
+    assert.equal(this.schema.db.posts.find(post.id).slug, 'lorem-ipsum');
+    assert.deepEqual(this.schema.db.activities[0], { id: '1', action: 'created', postId: '1' });
+  });
+
+  test('updating a model only runs beforeSave', function(assert) {
+    let post = this.schema.posts.create({ title: 'Lorem Ipsum' });
+    this.calls.length = 0;
+
+    post.update({ title: 'Dolor Sit' });
+
+    assert.deepEqual(this.calls, ['beforeSave false']);
+    assert.equal(this.schema.db.posts.find(post.id).slug, 'dolor-sit');
+  });
+
+  test('afterCreate does not run for invalid models', function(assert) {
+    this.schema.posts.create({ title: '' });
+
+    assert.deepEqual(this.calls, ['beforeSave true', 'beforeCreate']);
+    assert.equal(this.schema.db.activities.length, 0);
+  });
+
+  test('destroying a model runs afterDestroy', function(assert) {
+    let post = this.schema.posts.create({ title: 'Lorem Ipsum' });
+    this.calls.length = 0;
+
+    post.destroy();
+    post.destroy();
+
+    assert.deepEqual(this.calls, ['afterDestroy true']);
+    assert.deepEqual(this.schema.db.activities.map(activity => activity.action), ['created', 'destroyed']);
+  });
+});
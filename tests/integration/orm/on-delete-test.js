@@ -0,0 +1,82 @@
+import Schema from 'ember-cli-mirage/orm/schema';
+import Db from 'ember-cli-mirage/db';
+import { Model, belongsTo, hasMany, DeleteRestrictionError } from 'ember-cli-mirage';
+import { module, test } from 'qunit';
+
+module('Integration | ORM | onDelete', function(hooks) {
+  hooks.beforeEach(function() {
+    this.schema = new Schema(new Db(), {
+      author: Model.extend({
+        posts: hasMany({ onDelete: 'restrict' })
+      }),
+      post: Model.extend({
+        author: belongsTo(),
+        comments: hasMany({ onDelete: 'cascade' }),
+        tags: hasMany({ inverse: null })
+      }),
+      comment: Model.extend({
+        post: belongsTo(),
+        likes: hasMany({ inverse: null, onDelete: 'cascade' })
+      }),
+      like: Model,
+      tag: Model,
+      attachment: Model.extend({
+        post: belongsTo({ inverse: null, onDelete: 'cascade' })
+      }),
+      reaction: Model.extend({
+        comment: belongsTo({ inverse: null, onDelete: 'restrict' })
+      })
+    });
+
+    let post = this.schema.posts.create({ title: 'Lorem' });
+    let comment = this.schema.comments.create({ post, likes: [ this.schema.likes.create() ] });
+    this.schema.comments.create({ post });
+    this.schema.tags.create({ name: 'Hyrule' });
+    post.update({ tagIds: ['1'] });
+    this.schema.attachments.create({ post });
+
+    this.post = post;
+    this.comment = comment;
+  });
+
+  test('cascade destroys the models of a hasMany, recursively', function(assert) {
+    this.post.destroy();
+
+    assert.equal(this.schema.db.posts.length, 0);
+    assert.equal(this.schema.db.comments.length, 0);
+    assert.equal(this.schema.db.likes.length, 0);
+  });
+
+  test('cascade on a belongsTo destroys the owners when the associated model is destroyed', function(assert) {
+    this.post.destroy();
+
+    assert.equal(this.schema.db.attachments.length, 0);
+  });
+
+  test('nullify leaves the other models in place', function(assert) {
+    this.post.destroy();
+
+    assert.equal(this.schema.db.tags.length, 1);
+  });
+
+  test('restrict on a hasMany throws and destroys nothing', function(assert) {
+    let author = this.schema.authors.create({ posts: [ this.post ] });
+
+    assert.throws(() => author.destroy(), DeleteRestrictionError);
+    assert.throws(() => author.destroy(), /The author with id 1 can't be destroyed, because it has dependent model:post\(1\)/);
+    assert.equal(this.schema.db.authors.length, 1);
+  });
+
+  test('restrict on a belongsTo throws, even for models that would be destroyed in cascade', function(assert) {
+    this.schema.reactions.create({ comment: this.comment });
+
+    assert.throws(() => this.post.destroy(), DeleteRestrictionError);
+    assert.equal(this.schema.db.posts.length, 1);
+    assert.equal(this.schema.db.comments.length, 2);
+    assert.equal(this.schema.db.likes.length, 1);
+  });
+
+  test('an invalid onDelete option throws', function(assert) {
+    assert.throws(() => hasMany({ onDelete: 'destroy' }), /'destroy' is not a valid onDelete option/);
+  });
+});
@@ -0,0 +1,68 @@
+import Schema from 'ember-cli-mirage/orm/schema';
+import Db from 'ember-cli-mirage/db';
+import { Model, belongsTo, hasMany, JSONAPISerializer } from 'ember-cli-mirage';
+import SerializerRegistry from 'ember-cli-mirage/serializer-registry';
+import { module, test } from 'qunit';
+
+module('Integration | ORM | ordered hasMany', function(hooks) {
+  hooks.beforeEach(function() {
+    this.schema = new Schema(new Db(), {
+      playlist: Model.extend({
+        songs: hasMany({ ordered: true })
+      }),
+      song: Model.extend({
+        playlist: belongsTo()
+      })
+    });
+
+    this.playlist = this.schema.playlists.create();
+    this.songs = [ 'Lorem', 'Ipsum', 'Dolor' ].map((title) => this.schema.songs.create({ title, playlist: this.playlist }));
+    this.playlist.reload();
+  });
+
+  test('moveX moves an associated model and persists the order', function(assert) {
+    this.playlist.moveSong(0, 2);
+
+    assert.deepEqual(this.playlist.songIds, [ '2', '3', '1' ]);
+    assert.deepEqual(this.schema.playlists.find(1).songs.models.map((song) => song.title), [ 'Ipsum', 'Dolor', 'Lorem' ]);
+  });
+
+  test('moveX asserts the positions exist', function(assert) {
+    assert.throws(() => this.playlist.moveSong(0, 3), /because it has 3/);
+  });
+
+  test('insertXAt associates a new model at the position', function(assert) {
+    let song = this.playlist.insertSongAt(1, this.schema.songs.new({ title: 'Sit' }));
+
+    assert.ok(song.isSaved());
+    assert.equal(song.playlistId, this.playlist.id);
+    assert.deepEqual(this.playlist.reload().songIds, [ '1', '4', '2', '3' ]);
+  });
+
+  test('insertXAt moves a model that is already associated', function(assert) {
+    this.playlist.insertSongAt(0, this.schema.songs.find(3));
+
+    assert.deepEqual(this.playlist.reload().songIds, [ '3', '1', '2' ]);
+  });
+
+  test('reassigning a model to the same owner keeps its position', function(assert) {
+    this.schema.songs.find(1).update({ playlist: this.playlist, title: 'Amet' });
+
+    assert.deepEqual(this.playlist.reload().songIds, [ '1', '2', '3' ]);
+  });
+
+  test('serializers emit the related ids in the stored order', function(assert) {
+    this.playlist.moveSong(2, 0);
+
+    let registry = new SerializerRegistry(this.schema, {
+      application: JSONAPISerializer.extend({ alwaysIncludeLinkageData: true })
+    });
+    let json = registry.serialize(this.playlist);
+
+    assert.deepEqual(json.data.relationships.songs.data.map(({ id }) => id), [ '3', '1', '2' ]);
+  });
+
+  test('an association through a join model can\'t be ordered', function(assert) {
+    assert.throws(() => hasMany('song', { through: 'track', ordered: true }), /can't be ordered/);
+  });
+});
@@ -0,0 +1,112 @@
+import Schema from 'ember-cli-mirage/orm/schema';
+import Db from 'ember-cli-mirage/db';
+import { Model, belongsTo, hasMany, JSONAPISerializer, RestSerializer } from 'ember-cli-mirage';
+import SerializerRegistry from 'ember-cli-mirage/serializer-registry';
+import { module, test } from 'qunit';
+
+module('Integration | ORM | query', function(hooks) {
+  hooks.beforeEach(function() {
+    this.db = new Db();
+    this.schema = new Schema(this.db, {
+      author: Model.extend({
+        posts: hasMany()
+      }),
+      post: Model.extend({
+        author: belongsTo(),
+        tags: hasMany({ inverse: null })
+      }),
+      tag: Model
+    });
+
+    let link = this.schema.authors.create({ name: 'Link' });
+    let zelda = this.schema.authors.create({ name: 'Zelda' });
+    let tag = this.schema.tags.create({ name: 'Hyrule' });
+
+    this.schema.posts.create({ title: 'Lorem', published: true, createdAt: '2018-01-03', author: link, tags: [ tag ] });
+    this.schema.posts.create({ title: 'Ipsum', published: false, createdAt: '2018-01-01', author: zelda });
+    this.schema.posts.create({ title: 'Dolor', published: true, createdAt: '2018-01-02', author: zelda });
+    this.schema.posts.create({ title: 'Sit', published: true, createdAt: '2018-01-04' });
+
+    this.link = link;
+    this.tag = tag;
+    this.titles = (collection) => collection.models.map((post) => post.title);
+  });
+
+  test('it returns all models of the type', function(assert) {
+    assert.deepEqual(this.titles(this.schema.posts.query().all()), [ 'Lorem', 'Ipsum', 'Dolor', 'Sit' ]);
+  });
+
+  test('where conditions from several calls must all match', function(assert) {
+    let posts = this.schema.posts.query()
+      .where({ published: true })
+      .where((post) => post.title !== 'Sit')
+      .all();
+
+    assert.deepEqual(this.titles(posts), [ 'Lorem', 'Dolor' ]);
+  });
+
+  test('where matches associated models and paths through associations', function(assert) {
+    assert.deepEqual(this.titles(this.schema.posts.query().where({ author: this.link }).all()), [ 'Lorem' ]);
+    assert.deepEqual(this.titles(this.schema.posts.query().where({ author: null }).all()), [ 'Sit' ]);
+    assert.deepEqual(this.titles(this.schema.posts.query().where({ tags: this.tag }).all()), [ 'Lorem' ]);
+    assert.deepEqual(this.titles(this.schema.posts.query().where({ 'author.name': 'Zelda' }).all()), [ 'Ipsum', 'Dolor' ]);
+  });
+
+  test('where accepts the operators of the db, also through the schema', function(assert) {
+    let titles = this.titles(this.schema.posts.query().where({ createdAt: { gt: '2018-01-02' }, title: { ne: 'Sit' } }).all());
+
+    assert.deepEqual(titles, [ 'Lorem' ]);
+    assert.deepEqual(this.titles(this.schema.posts.where({ title: { in: [ 'Sit', 'Dolor' ] } })), [ 'Dolor', 'Sit' ]);
+    assert.equal(this.schema.posts.findBy({ title: /^Ip/ }).title, 'Ipsum');
+  });
+
+  test('orderBy sorts by attributes and paths, in either direction', function(assert) {
+    assert.deepEqual(this.titles(this.schema.posts.query().orderBy('-createdAt').all()), [ 'Sit', 'Lorem', 'Dolor', 'Ipsum' ]);
+    assert.deepEqual(this.titles(this.schema.posts.query().orderBy('-author.name', 'title').all()), [ 'Dolor', 'Ipsum', 'Lorem', 'Sit' ]);
+  });
+
+  test('limit and offset select a page of models', function(assert) {
+    let query = this.schema.posts.query().orderBy('createdAt');
+
+    assert.deepEqual(this.titles(query.limit(2).all()), [ 'Ipsum', 'Dolor' ]);
+    assert.deepEqual(this.titles(query.limit(2).offset(2).all()), [ 'Lorem', 'Sit' ]);
+    assert.deepEqual(this.titles(query.offset(3).all()), [ 'Sit' ]);
+    assert.deepEqual(this.titles(query.where({ 'author.name': 'Zelda' }).offset(1).all()), [ 'Dolor' ]);
+  });
+
+  test('first and count run the query', function(assert) {
+    let query = this.schema.posts.query().where({ published: true }).orderBy('title');
+
+    assert.equal(query.first().title, 'Dolor');
+    assert.equal(query.limit(1).count(), 3);
+    assert.equal(query.where({ title: 'Amet' }).first(), null);
+  });
+
+  test('queries are lazy and can be reused', function(assert) {
+    let query = this.schema.posts.query().where({ published: true });
+    let latest = query.orderBy('-createdAt').limit(1);
+
+    this.schema.posts.create({ title: 'Amet', published: true, createdAt: '2018-01-05' });
+
+    assert.equal(latest.first().title, 'Amet');
+    assert.equal(query.count(), 4);
+  });
+
+  test('included relationships are serialized with the collection', function(assert) {
+    let posts = this.schema.posts.query().where({ title: 'Lorem' }).include('author').all();
+    let jsonApi = new SerializerRegistry(this.schema, { application: JSONAPISerializer }).serialize(posts);
+    let rest = new SerializerRegistry(this.schema, { application: RestSerializer }).serialize(posts);
+
+    assert.deepEqual(jsonApi.included.map(({ type, id }) => `${type}:${id}`), [ 'authors:1' ]);
+    assert.deepEqual(rest.authors.map(({ name }) => name), [ 'Link' ]);
+  });
+
+  test('a request\'s include query param takes precedence', function(assert) {
+    let posts = this.schema.posts.query().where({ title: 'Lorem' }).include('author').all();
+    let request = { queryParams: { include: 'tags' } };
+    let json = new SerializerRegistry(this.schema, { application: JSONAPISerializer }).serialize(posts, request);
+
+    assert.deepEqual(json.included.map(({ type, id }) => `${type}:${id}`), [ 'tags:1' ]);
+    assert.deepEqual(request.queryParams, { include: 'tags' }, 'the request is not changed');
+  });
+});
@@ -0,0 +1,132 @@
+import Schema from 'ember-cli-mirage/orm/schema';
+import Db from 'ember-cli-mirage/db';
+import { Model, belongsTo, hasMany, JSONAPISerializer } from 'ember-cli-mirage';
+import SerializerRegistry from 'ember-cli-mirage/serializer-registry';
+import { module, test } from 'qunit';
+
+module('Integration | ORM | single-table inheritance', function(hooks) {
+  hooks.beforeEach(function() {
+    let Vehicle = Model.extend({
+      inheritance: true,
+      owner: belongsTo('person'),
+
+      describe() {
+        return `A vehicle with ${this.wheels} wheels`;
+      }
+    });
+    let Car = Vehicle.extend({
+      describe() {
+        return `A car named ${this.name}`;
+      }
+    });
+
+    this.db = new Db();
+    this.schema = new Schema(this.db, {
+      car: Car,
+      person: Model.extend({
+        vehicles: hasMany()
+      }),
+      sportsCar: Car.extend(),
+      truck: Vehicle.extend({
+        trailer: belongsTo()
+      }),
+      trailer: Model,
+      vehicle: Vehicle
+    });
+
+    this.car = this.schema.cars.create({ name: 'Epona' });
+    this.truck = this.schema.trucks.create({ wheels: 18 });
+    this.sportsCar = this.schema.sportsCars.create({ name: 'Falcon' });
+    this.vehicle = this.schema.vehicles.create({ wheels: 2 });
+  });
+
+  test('models that extend another model are stored in its collection with their type', function(assert) {
+    assert.deepEqual(this.db.vehicles.map(({ id, type }) => [ id, type ]), [
+      [ '1', 'car' ],
+      [ '2', 'truck' ],
+      [ '3', 'sports-car' ],
+      [ '4', 'vehicle' ]
+    ]);
+    assert.notOk(this.db.cars, 'there is no collection for the subtypes');
+  });
+
+  test('querying a base model returns instances of its subtypes', function(assert) {
+    let vehicles = this.schema.vehicles.all();
+
+    assert.deepEqual(vehicles.models.map((vehicle) => vehicle.describe()), [
+      'A car named Epona',
+      'A vehicle with 18 wheels',
+      'A car named Falcon',
+      'A vehicle with 2 wheels'
+    ]);
+    assert.equal(this.schema.vehicles.find(2).modelName, 'truck');
+    assert.equal(this.schema.vehicles.findBy({ name: 'Falcon' }).modelName, 'sports-car');
+  });
+
+  test('querying a subtype only returns its own models and those that extend it', function(assert) {
+    assert.deepEqual(this.schema.cars.all().models.map((car) => car.toString()), [ 'model:car(1)', 'model:sports-car(3)' ]);
+    assert.deepEqual(this.schema.trucks.where({}).models.map((truck) => truck.id), [ '2' ]);
+    assert.equal(this.schema.cars.find(2), null);
+    assert.throws(() => this.schema.cars.find([ 1, 2 ]), /Couldn't find all cars/);
+  });
+
+  test('associations to a base model accept its subtypes', function(assert) {
+    let link = this.schema.people.create({ vehicles: [ this.car, this.truck ] });
+
+    assert.deepEqual(link.vehicles.models.map((vehicle) => vehicle.toString()), [ 'model:car(1)', 'model:truck(2)' ]);
+    assert.equal(this.schema.trucks.find(2).owner.id, link.id);
+
+    this.schema.sportsCars.find(3).update({ owner: link });
+
+    assert.deepEqual(link.reload().vehicleIds, [ '1', '2', '3' ]);
+  });
+
+  test('subtypes keep the associations they declare', function(assert) {
+    let trailer = this.schema.trailers.create();
+
+    this.truck.update({ trailer });
+
+    assert.equal(this.schema.vehicles.find(2).trailer.id, trailer.id);
+    assert.notOk(this.schema.cars.find(1).trailer);
+  });
+
+  test('destroying a subtype removes it from the associations to its base model', function(assert) {
+    let link = this.schema.people.create({ vehicles: [ this.car, this.truck ] });
+
+    this.truck.destroy();
+
+    assert.deepEqual(link.reload().vehicleIds, [ '1' ]);
+    assert.equal(this.db.vehicles.length, 3);
+  });
+
+  test('the JSON:API serializer uses the subtype as the resource type', function(assert) {
+    let registry = new SerializerRegistry(this.schema, { application: JSONAPISerializer });
+    let json = registry.serialize(this.schema.vehicles.find([ 1, 2 ]));
+
+    assert.deepEqual(json.data.map(({ type }) => type), [ 'cars', 'trucks' ]);
+    assert.deepEqual(json.data[0].attributes, { name: 'Epona' });
+  });
+
+  test('a given type is kept', function(assert) {
+    let vehicle = this.schema.vehicles.create({ type: 'car', name: 'Roach' });
+
+    assert.equal(this.db.vehicles.find(vehicle.id).type, 'car');
+    assert.equal(this.schema.cars.find(vehicle.id).describe(), 'A car named Roach');
+  });
+
+  test('models extending a model that didn\'t opt in keep their own collection', function(assert) {
+    let User = Model.extend();
+    let db = new Db();
+    let schema = new Schema(db, {
+      user: User,
+      admin: User.extend()
+    });
+
+    schema.users.create({ name: 'Link' });
+    schema.admins.create({ name: 'Zelda', type: 'super' });
+
+    assert.deepEqual(db.users, [ { id: '1', name: 'Link' } ]);
+    assert.deepEqual(db.admins, [ { id: '1', name: 'Zelda', type: 'super' } ]);
+    assert.equal(schema.users.all().length, 1);
+  });
+});
@@ -0,0 +1,118 @@
+import Schema from 'ember-cli-mirage/orm/schema';
+import Db from 'ember-cli-mirage/db';
+import { Model, belongsTo, hasMany } from 'ember-cli-mirage';
+import { module, test } from 'qunit';
+
+module('Integration | ORM | soft delete', function(hooks) {
+  hooks.beforeEach(function() {
+    this.schema = new Schema(new Db(), {
+      author: Model.extend({
+        posts: hasMany()
+      }),
+      post: Model.extend({
+        paranoid: true,
+        author: belongsTo()
+      })
+    });
+    this.schema.clock = () => new Date(Date.UTC(2018, 0, 1));
+
+    let author = this.schema.authors.create({ name: 'Link' });
+    this.schema.posts.create({ title: 'Lorem', author });
+    this.schema.posts.create({ title: 'Ipsum', author });
+  });
+
+  test('destroying a paranoid model sets deletedAt instead of removing the record', function(assert) {
+    let post = this.schema.posts.find(1);
+
+    post.destroy();
+
+    assert.ok(post.isDeleted());
+    assert.deepEqual(this.schema.db.posts.find(1), { id: '1', title: 'Lorem', authorId: '1', deletedAt: '2018-01-01T00:00:00.000Z' });
+    assert.deepEqual(this.schema.db.authors.find(1).postIds, ['1', '2'], 'the relationships are kept');
+  });
+
+  test('the query methods exclude soft-deleted models', function(assert) {
+    this.schema.posts.find(1).destroy();
+
+    assert.deepEqual(this.schema.posts.all().models.map(post => post.id), ['2']);
+    assert.equal(this.schema.posts.find(1), null);
+    assert.equal(this.schema.posts.findBy({ title: 'Lorem' }), null);
+    assert.equal(this.schema.posts.where({ authorId: '1' }).length, 1);
+    assert.equal(this.schema.posts.first().id, '2');
+    assert.deepEqual(this.schema.authors.find(1).posts.models.map(post => post.id), ['2']);
+  });
+
+  test('withDeleted includes soft-deleted models', function(assert) {
+    this.schema.posts.find(1).destroy();
+
+    assert.equal(this.schema.posts.withDeleted().all().length, 2);
+    assert.equal(this.schema.posts.withDeleted().find(1).title, 'Lorem');
+    assert.equal(this.schema.posts.withDeleted().findBy({ title: 'Lorem' }).id, '1');
+    assert.equal(this.schema.posts.withDeleted().where({ authorId: '1' }).length, 2);
+    assert.equal(this.schema.posts.withDeleted().first().id, '1');
+    assert.equal(this.schema.posts.all().length, 1, 'other queries still exclude them');
+  });
+
+  test('withDeleted queries include soft-deleted models', function(assert) {
+    this.schema.posts.find(1).destroy();
+
+    let query = this.schema.posts.withDeleted().query().where({ authorId: '1' });
+
+    assert.deepEqual(query.orderBy('title').all().models.map(post => post.title), ['Ipsum', 'Lorem']);
+    assert.equal(query.where({ deletedAt: { null: false } }).first().id, '1');
+    assert.equal(query.count(), 2);
+    assert.equal(this.schema.posts.query().where({ authorId: '1' }).count(), 1, 'other queries still exclude them');
+  });
+
+  test('nested withDeleted queries include soft-deleted models', function(assert) {
+    this.schema.posts.find(1).destroy();
+
+    let posts = this.schema.posts.withDeleted().where((post) => !!this.schema.posts.withDeleted().find(post.id));
+
+    assert.equal(posts.length, 2);
+  });
+
+  test('saving the owner of a soft-deleted model keeps it in the foreign keys', function(assert) {
+    this.schema.posts.find(1).destroy();
+
+    let author = this.schema.authors.find(1);
+    assert.deepEqual(author.postIds, ['2']);
+    assert.equal(author.posts.length, 1);
+
+    author.save();
+
+    assert.deepEqual(this.schema.db.authors.find(1).postIds, ['1', '2']);
+
+    this.schema.posts.withDeleted().find(1).restore();
+
+    assert.deepEqual(this.schema.authors.find(1).posts.models.map(post => post.id), ['1', '2'], 'restoring it restores the relationship');
+  });
+
+  test('changing the associated models keeps the soft-deleted ones', function(assert) {
+    this.schema.posts.find(1).destroy();
+
+    let author = this.schema.authors.find(1);
+    let post = this.schema.posts.create({ title: 'Dolor' });
+    author.posts = [post];
+    author.save();
+
+    assert.deepEqual(this.schema.db.authors.find(1).postIds, ['1', '3']);
+  });
+
+  test('a soft-deleted model can be restored', function(assert) {
+    this.schema.posts.find(1).destroy();
+
+    let post = this.schema.posts.withDeleted().find(1).restore();
+
+    assert.notOk(post.isDeleted());
+    assert.equal(this.schema.db.posts.find(1).deletedAt, null);
+    assert.equal(this.schema.posts.find(1).title, 'Lorem');
+  });
+
+  test('other models are still removed from the db', function(assert) {
+    this.schema.authors.find(1).destroy();
+
+    assert.equal(this.schema.db.authors.length, 0);
+    assert.equal(this.schema.posts.find(1).authorId, null);
+  });
+});
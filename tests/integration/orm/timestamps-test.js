@@ -0,0 +1,87 @@
+import Schema from 'ember-cli-mirage/orm/schema';
+import Db from 'ember-cli-mirage/db';
+import { Model, belongsTo, hasMany } from 'ember-cli-mirage';
+import { module, test } from 'qunit';
+
+module('Integration | ORM | timestamps', function(hooks) {
+  hooks.beforeEach(function() {
+    this.schema = new Schema(new Db(), {
+      post: Model.extend({
+        timestamps: true
+      }),
+      comment: Model,
+      tag: Model.extend({
+        timestamps: false
+      }),
+      author: Model.extend({
+        books: hasMany(),
+        timestamps: true
+      }),
+      book: Model.extend({
+        author: belongsTo()
+      })
+    });
+
+    let time = Date.UTC(2018, 0, 1);
+    this.schema.clock = () => new Date(time);
+    this.tick = () => (time += 60 * 1000);
+  });
+
+  test('creating a model sets both timestamps', function(assert) {
+    let post = this.schema.posts.create({ title: 'Lorem' });
+
+    assert.deepEqual(this.schema.db.posts.find(post.id), {
+      id: '1',
+      title: 'Lorem',
+      createdAt: '2018-01-01T00:00:00.000Z',
+      updatedAt: '2018-01-01T00:00:00.000Z'
+    });
+  });
+
+  test('saving and updating a model only changes updatedAt', function(assert) {
+    let post = this.schema.posts.create({ title: 'Lorem' });
+
+    this.tick();
+    post.update({ title: 'Ipsum' });
+
+    assert.equal(post.createdAt, '2018-01-01T00:00:00.000Z');
+    assert.equal(this.schema.db.posts.find(post.id).updatedAt, '2018-01-01T00:01:00.000Z');
+
+    this.tick();
+    post.save();
+
+    assert.equal(post.updatedAt, '2018-01-01T00:02:00.000Z');
+  });
+
+  test('saving a related model leaves updatedAt alone unless an attribute changed', function(assert) {
+    let author = this.schema.authors.create({ name: 'Zelda' });
+
+    this.tick();
+    this.schema.books.create({ author });
+
+    assert.deepEqual(this.schema.db.authors.find(author.id).bookIds, ['1']);
+    assert.equal(this.schema.db.authors.find(author.id).updatedAt, '2018-01-01T00:00:00.000Z');
+
+    author = this.schema.authors.find(author.id);
+    author.name = 'Link';
+    this.schema.books.create({ author });
+
+    assert.equal(this.schema.db.authors.find(author.id).updatedAt, '2018-01-01T00:01:00.000Z');
+  });
+
+  test('timestamps given to a new model are kept', function(assert) {
+    let post = this.schema.posts.create({ createdAt: '2017-06-01T00:00:00.000Z', updatedAt: '2017-06-02T00:00:00.000Z' });
+
+    assert.equal(post.createdAt, '2017-06-01T00:00:00.000Z');
+    assert.equal(post.updatedAt, '2017-06-02T00:00:00.000Z');
+  });
+
+  test('timestamps can be enabled for all models, and models can opt out', function(assert) {
+    assert.deepEqual(this.schema.comments.create().attrs, { id: '1' });
+
+    this.schema.timestamps = true;
+
+    assert.equal(this.schema.comments.create().createdAt, '2018-01-01T00:00:00.000Z');
+    assert.deepEqual(this.schema.tags.create().attrs, { id: '1' });
+  });
+});
@@ -0,0 +1,67 @@
+import Schema from 'ember-cli-mirage/orm/schema';
+import Db from 'ember-cli-mirage/db';
+import { Model, attr } from 'ember-cli-mirage';
+import { module, test } from 'qunit';
+
+module('Integration | ORM | typed attrs', function(hooks) {
+  hooks.beforeEach(function() {
+    this.db = new Db();
+    this.schema = new Schema(this.db, {
+      post: Model.extend({
+        title: attr('string'),
+        wordCount: attr('number', { defaultValue: 0 }),
+        isPublished: attr('boolean', { defaultValue: false }),
+        publishedAt: attr('date'),
+        tags: attr({ defaultValue: () => [] })
+      })
+    });
+  });
+
+  test('attributes are coerced when a model is created', function(assert) {
+    let post = this.schema.posts.create({
+      title: 123,
+      wordCount: '300',
+      isPublished: 'true',
+      publishedAt: new Date(Date.UTC(2018, 0, 1))
+    });
+
+    assert.deepEqual(this.db.posts.find(post.id), {
+      id: '1',
+      title: '123',
+      wordCount: 300,
+      isPublished: true,
+      publishedAt: '2018-01-01T00:00:00.000Z',
+      tags: []
+    });
+  });
+
+  test('missing attributes get their default values', function(assert) {
+    let post = this.schema.posts.new();
+    let otherPost = this.schema.posts.new();
+
+    assert.deepEqual(post.attrs, { title: null, wordCount: 0, isPublished: false, publishedAt: null, tags: [] });
+    assert.notEqual(post.tags, otherPost.tags, 'default value functions are called for each model');
+  });
+
+  test('attributes are coerced when they are set or updated', function(assert) {
+    let post = this.schema.posts.create();
+
+    post.wordCount = 'many';
+    post.isPublished = 1;
+    assert.equal(post.wordCount, null);
+    assert.equal(post.isPublished, true);
+
+    post.update({ publishedAt: '2018-01-01T10:00:00+02:00', isPublished: 'f' });
+    assert.equal(this.db.posts.find(1).publishedAt, '2018-01-01T08:00:00.000Z');
+    assert.equal(this.db.posts.find(1).isPublished, false);
+
+    post.update('publishedAt', 'not a date');
+    assert.equal(post.publishedAt, null);
+  });
+
+  test('an invalid type throws', function(assert) {
+    assert.throws(function() {
+      attr('datetime');
+    }, /'datetime' is not a valid attribute type/);
+  });
+});
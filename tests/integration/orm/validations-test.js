@@ -0,0 +1,104 @@
+import Schema from 'ember-cli-mirage/orm/schema';
+import Db from 'ember-cli-mirage/db';
+import { Model, belongsTo, hasMany } from 'ember-cli-mirage';
+import { module, test } from 'qunit';
+
+module('Integration | ORM | validations', function(hooks) {
+  hooks.beforeEach(function() {
+    this.db = new Db({
+      users: [
+        { id: '1', name: 'Link', email: 'link@hyrule.com', teamId: '1' }
+      ],
+      teams: [
+        { id: '1', name: 'Heroes', userIds: ['1'] },
+        { id: '2', name: 'Villains', userIds: [] }
+      ]
+    });
+
+    this.schema = new Schema(this.db, {
+      user: Model.extend({
+        team: belongsTo(),
+
+        validations: {
+          name: { presence: true, length: { minimum: 2, maximum: 10 } },
+          email: { format: /@/, uniqueness: { scope: 'teamId' } },
+          role: { inclusion: { in: ['admin', 'member'], message: 'is not a valid role' } },
+          team: { presence: true }
+        }
+      }),
+      team: Model.extend({
+        users: hasMany()
+      }),
+      importJob: Model
+    });
+  });
+
+  test('a valid model is saved and has no errors', function(assert) {
+    let user = this.schema.users.create({ name: 'Zelda', email: 'zelda@hyrule.com', role: 'admin', teamId: '1' });
+
+    assert.ok(user.isSaved());
+    assert.deepEqual(user.errors, {});
+    assert.equal(this.db.users.length, 2);
+  });
+
+  test('an invalid model is not written to the db and has errors', function(assert) {
+    let user = this.schema.users.create({ name: ' ', email: 'zelda', role: 'king' });
+
+    assert.ok(user.isNew());
+    assert.equal(this.db.users.length, 1);
+    assert.deepEqual(user.errors, {
+      name: ['can\'t be blank', 'is too short (minimum is 2 characters)'],
+      email: ['is invalid'],
+      role: ['is not a valid role'],
+      team: ['can\'t be blank']
+    });
+  });
+
+  test('models without validations can have an errors attribute', function(assert) {
+    let job = this.schema.importJobs.create({ errors: ['row 3 is bad'] });
+
+    assert.deepEqual(job.errors, ['row 3 is bad']);
+    assert.deepEqual(this.db.importJobs.find(job.id).errors, ['row 3 is bad']);
+
+    job.update({ errors: [] });
+
+    assert.deepEqual(this.db.importJobs.find(job.id).errors, []);
+  });
+
+  test('models with validations can\'t have an errors attribute', function(assert) {
+    assert.throws(() => this.schema.users.new({ errors: [] }), /can't have an 'errors' attribute/);
+  });
+
+  test('validations other than presence skip missing values', function(assert) {
+    let user = this.schema.users.new({ name: 'Zelda', teamId: '2' });
+
+    assert.ok(user.isValid());
+  });
+
+  test('uniqueness ignores the model itself and respects its scope', function(assert) {
+    let link = this.schema.users.find(1);
+
+    assert.ok(link.isValid());
+
+    let impostor = this.schema.users.new({ name: 'Impostor', email: 'link@hyrule.com', teamId: '1' });
+    assert.notOk(impostor.isValid());
+    assert.deepEqual(impostor.errors, { email: ['has already been taken'] });
+
+    impostor.teamId = '2';
+    assert.ok(impostor.isValid());
+  });
+
+  test('updating a model with invalid attrs leaves the db untouched', function(assert) {
+    let link = this.schema.users.find(1);
+
+    link.update({ name: 'Link the Hero of Time' });
+
+    assert.deepEqual(link.errors, { name: ['is too long (maximum is 10 characters)'] });
+    assert.equal(this.db.users.find(1).name, 'Link');
+
+    link.update({ name: 'Hero' });
+
+    assert.deepEqual(link.errors, {});
+    assert.equal(this.db.users.find(1).name, 'Hero');
+  });
+});
@@ -0,0 +1,124 @@
+import Schema from 'ember-cli-mirage/orm/schema';
+import Db from 'ember-cli-mirage/db';
+import SerializerRegistry from 'ember-cli-mirage/serializer-registry';
+import { JSONAPISerializer, Model, hasMany, belongsTo } from 'ember-cli-mirage';
+import { module, test } from 'qunit';
+
+module('Integration | Serializers | JSON API Serializer | Sparse fieldsets', function(hooks) {
+  hooks.beforeEach(function() {
+    this.schema = new Schema(new Db(), {
+      wordSmith: Model.extend({
+        blogPosts: hasMany()
+      }),
+
+      blogPost: Model.extend({
+        wordSmith: belongsTo(),
+        fineComments: hasMany()
+      }),
+
+      fineComment: Model.extend({
+        blogPost: belongsTo()
+      })
+    });
+
+    let wordSmith = this.schema.wordSmiths.create({ firstName: 'Link', age: 123 });
+    let post = wordSmith.createBlogPost({ title: 'Lorem', wordCount: 300 });
+    post.createFineComment({ text: 'Ipsum', rating: 5 });
+  });
+
+  test('it applies fieldsets to the attributes and relationships of primary and included resources', function(assert) {
+    let registry = new SerializerRegistry(this.schema, {
+      application: JSONAPISerializer.extend({
+        alwaysIncludeLinkageData: true
+      })
+    });
+
+    let request = {
+      queryParams: {
+        include: 'word-smith,fine-comments',
+        'fields[blog-posts]': 'title,word-smith',
+        'fields[word-smiths]': 'first-name',
+        'fields[fine-comments]': ''
+      }
+    };
+
+    let result = registry.serialize(this.schema.blogPosts.find(1), request);
+
+    assert.deepEqual(result, {
+      data: {
+        type: 'blog-posts',
+        id: '1',
+        attributes: {
+          title: 'Lorem'
+        },
+        relationships: {
+          'word-smith': {
+            data: { type: 'word-smiths', id: '1' }
+          }
+        }
+      },
+      included: [
+        {
+          type: 'word-smiths',
+          id: '1',
+          attributes: {
+            'first-name': 'Link'
+          }
+        },
+        {
+          type: 'fine-comments',
+          id: '1',
+          attributes: {}
+        }
+      ]
+    });
+  });
+
+  test('it serializes all fields of types without a fieldset', function(assert) {
+    let registry = new SerializerRegistry(this.schema, {
+      application: JSONAPISerializer
+    });
+
+    let request = {
+      queryParams: {
+        'fields[blog-posts]': 'word-count'
+      }
+    };
+
+    let result = registry.serialize(this.schema.wordSmiths.all(), request);
+
+    assert.deepEqual(result, {
+      data: [{
+        type: 'word-smiths',
+        id: '1',
+        attributes: {
+          'first-name': 'Link',
+          age: 123
+        }
+      }]
+    });
+  });
+
+  test('it uses the defaultFieldset of the model serializer when the request has no fieldset', function(assert) {
+    let registry = new SerializerRegistry(this.schema, {
+      application: JSONAPISerializer,
+      wordSmith: JSONAPISerializer.extend({
+        defaultFieldset: ['age']
+      }),
+      blogPost: JSONAPISerializer.extend({
+        defaultFieldset(request) {
+          return request.queryParams.preview ? ['title'] : undefined;
+        }
+      })
+    });
+
+    let result = registry.serialize(this.schema.wordSmiths.find(1), { queryParams: { include: 'blog-posts', preview: true } });
+
+    assert.deepEqual(result.data.attributes, { age: 123 });
+    assert.deepEqual(result.included[0].attributes, { title: 'Lorem' });
+
+    result = registry.serialize(this.schema.wordSmiths.find(1), { queryParams: { 'fields[word-smiths]': 'first-name' } });
+
+    assert.deepEqual(result.data.attributes, { 'first-name': 'Link' }, 'the request fieldset takes precedence');
+  });
+});
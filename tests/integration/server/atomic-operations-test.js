@@ -0,0 +1,149 @@
+import { module, test } from 'qunit';
+import { Model, hasMany, belongsTo, JSONAPISerializer } from 'ember-cli-mirage';
+import Server from 'ember-cli-mirage/server';
+import promiseAjax from '../../helpers/promise-ajax';
+
+module('Integration | Server | Atomic operations', function(hooks) {
+  hooks.beforeEach(function() {
+    this.server = new Server({
+      environment: 'test',
+      models: {
+        author: Model.extend({
+          posts: hasMany()
+        }),
+        post: Model.extend({
+          author: belongsTo()
+        })
+      },
+      serializers: {
+        application: JSONAPISerializer
+      }
+    });
+    this.server.timing = 0;
+    this.server.logging = false;
+
+    this.server.create('author', { name: 'Link' });
+    this.server.create('post', { title: 'Lorem' });
+    this.server.atomicOperations();
+  });
+
+  hooks.afterEach(function() {
+    this.server.shutdown();
+  });
+
+  function operationsRequest(operations) {
+    return promiseAjax({
+      method: 'POST',
+      url: '/operations',
+      data: JSON.stringify({ 'atomic:operations': operations })
+    }).catch(error => error);
+  }
+
+  test('it applies add, update and remove operations', async function(assert) {
+    let { data, xhr } = await operationsRequest([
+      { op: 'add', data: { type: 'authors', lid: 'new-author', attributes: { name: 'Zelda' } } },
+      {
+        op: 'add',
+        data: {
+          type: 'posts',
+          attributes: { title: 'Ipsum' },
+          relationships: { author: { data: { type: 'authors', lid: 'new-author' } } }
+        }
+      },
+      { op: 'update', data: { type: 'authors', id: '1', attributes: { name: 'Young Link' } } },
+      { op: 'remove', ref: { type: 'posts', id: '1' } }
+    ]);
+
+    assert.equal(xhr.status, 200);
+    assert.deepEqual(data, {
+      'atomic:results': [
+        { data: { type: 'authors', id: '2', attributes: { name: 'Zelda' } } },
+        { data: { type: 'posts', id: '2', attributes: { title: 'Ipsum' } } },
+        { data: { type: 'authors', id: '1', attributes: { name: 'Young Link' } } },
+        {}
+      ]
+    });
+    assert.equal(this.server.db.posts.find(2).authorId, '2', 'lids are resolved to the ids of the added resources');
+    assert.equal(this.server.db.posts.find(1), null);
+  });
+
+  test('it can update and remove resources by their lid', async function(assert) {
+    let { xhr } = await operationsRequest([
+      { op: 'add', data: { type: 'posts', lid: 'a', attributes: { title: 'Ipsum' } } },
+      { op: 'update', data: { type: 'posts', lid: 'a', attributes: { title: 'Dolor' } } },
+      { op: 'add', data: { type: 'posts', lid: 'b', attributes: { title: 'Sit' } } },
+      { op: 'remove', ref: { type: 'posts', lid: 'b' } }
+    ]);
+
+    assert.equal(xhr.status, 200);
+    assert.deepEqual(this.server.db.posts.map(post => post.title), ['Lorem', 'Dolor']);
+  });
+
+  test('it responds with a 204 if no operation returns data', async function(assert) {
+    let { xhr } = await operationsRequest([
+      { op: 'remove', ref: { type: 'posts', id: '1' } }
+    ]);
+
+    assert.equal(xhr.status, 204);
+    assert.equal(this.server.db.posts.length, 0);
+  });
+
+  test('it rolls back all operations if one fails', async function(assert) {
+    let { xhr } = await operationsRequest([
+      { op: 'add', data: { type: 'authors', attributes: { name: 'Zelda' } } },
+      { op: 'update', data: { type: 'authors', id: '1', attributes: { name: 'Young Link' } } },
+      { op: 'remove', ref: { type: 'posts', id: '99' } }
+    ]);
+
+    assert.equal(xhr.status, 404);
+    assert.deepEqual(JSON.parse(xhr.responseText), {
+      errors: [{
+        status: '404',
+        detail: 'The posts resource \'99\' does not exist.',
+        source: { pointer: '/atomic:operations/2' }
+      }]
+    });
+    assert.deepEqual(this.server.db.authors.map(author => author.name), ['Link']);
+
+    let { data } = await operationsRequest([
+      { op: 'add', data: { type: 'authors', attributes: { name: 'Zelda' } } }
+    ]);
+
+    assert.equal(data['atomic:results'][0].data.id, '2', 'the ids used by rolled back operations are reused');
+  });
+
+  test('it rolls back the operations of a route that isn\'t transactional', async function(assert) {
+    this.server.transactional = false;
+
+    let { xhr } = await operationsRequest([
+      { op: 'update', data: { type: 'authors', id: '1', attributes: { name: 'Young Link' } } },
+      { op: 'remove', ref: { type: 'posts', id: '99' } }
+    ]);
+
+    assert.equal(xhr.status, 404);
+    assert.deepEqual(this.server.db.authors.map(author => author.name), ['Link']);
+  });
+
+  test('it rejects invalid documents and unknown local ids', async function(assert) {
+    let { xhr } = await promiseAjax({
+      method: 'POST',
+      url: '/operations',
+      data: JSON.stringify({ data: {} })
+    }).catch(error => error);
+
+    assert.equal(xhr.status, 400);
+
+    ({ xhr } = await operationsRequest([
+      { op: 'update', data: { type: 'posts', lid: 'missing', attributes: { title: 'Dolor' } } }
+    ]));
+
+    assert.equal(xhr.status, 400);
+    assert.equal(JSON.parse(xhr.responseText).errors[0].detail, 'The local id \'missing\' of type \'posts\' was not defined by a previous operation.');
+
+    ({ xhr } = await operationsRequest([
+      { op: 'add', data: { type: 'planets', attributes: { name: 'Earth' } } }
+    ]));
+
+    assert.equal(xhr.status, 400);
+  });
+});
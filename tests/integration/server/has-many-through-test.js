@@ -0,0 +1,56 @@
+import { module, test } from 'qunit';
+import { Model, hasMany, belongsTo, JSONAPISerializer } from 'ember-cli-mirage';
+import Server from 'ember-cli-mirage/server';
+import promiseAjax from '../../helpers/promise-ajax';
+
+module('Integration | Server | hasMany through', function(hooks) {
+  hooks.beforeEach(function() {
+    this.server = new Server({
+      environment: 'test',
+      models: {
+        post: Model.extend({
+          tags: hasMany({ through: 'tagging' })
+        }),
+        tag: Model,
+        tagging: Model.extend({
+          post: belongsTo(),
+          tag: belongsTo()
+        })
+      },
+      serializers: {
+        application: JSONAPISerializer
+      }
+    });
+    this.server.timing = 0;
+    this.server.logging = false;
+
+    this.server.createList('tag', 2);
+    this.server.get('/posts/:id');
+    this.server.post('/posts');
+  });
+
+  hooks.afterEach(function() {
+    this.server.shutdown();
+  });
+
+  test('shorthands read and write the association through the join model', async function(assert) {
+    await promiseAjax({
+      method: 'POST',
+      url: '/posts',
+      data: JSON.stringify({
+        data: {
+          type: 'posts',
+          attributes: { title: 'Lorem' },
+          relationships: { tags: { data: [{ type: 'tags', id: '2' }] } }
+        }
+      })
+    });
+
+    assert.deepEqual(this.server.db.taggings, [{ id: '1', postId: '1', tagId: '2' }]);
+
+    let { data } = await promiseAjax({ method: 'GET', url: '/posts/1?include=tags' });
+
+    assert.deepEqual(data.data.relationships, { tags: { data: [{ type: 'tags', id: '2' }] } });
+    assert.deepEqual(data.included, [{ type: 'tags', id: '2', attributes: {} }]);
+  });
+});
@@ -0,0 +1,183 @@
+import { module, test } from 'qunit';
+import { Model, attr, hasMany, belongsTo, JSONAPISerializer } from 'ember-cli-mirage';
+import Server from 'ember-cli-mirage/server';
+import promiseAjax from '../../helpers/promise-ajax';
+
+const JSON_API = 'application/vnd.api+json';
+
+module('Integration | Server | JSON:API strict mode', function(hooks) {
+  hooks.beforeEach(function() {
+    this.server = new Server({
+      environment: 'test',
+      models: {
+        author: Model.extend({
+          name: attr(),
+          posts: hasMany()
+        }),
+        post: Model.extend({
+          title: attr(),
+          createdAt: attr(),
+          author: belongsTo(),
+          comments: hasMany()
+        }),
+        comment: Model.extend({
+          post: belongsTo()
+        })
+      },
+      serializers: {
+        application: JSONAPISerializer.extend({
+          strict: true
+        })
+      }
+    });
+    this.server.timing = 0;
+    this.server.logging = false;
+
+    let author = this.server.create('author', { name: 'Link' });
+    let post = this.server.create('post', { author, title: 'Lorem', createdAt: '2018-01-01' });
+    this.server.create('comment', { post, text: 'Ipsum' });
+
+    this.server.get('/posts');
+    this.server.post('/posts');
+  });
+
+  hooks.afterEach(function() {
+    this.server.shutdown();
+  });
+
+  function get(url, headers = { 'Accept': JSON_API }) {
+    return promiseAjax({ method: 'GET', url, headers }).catch(error => error);
+  }
+
+  test('valid query params are accepted', async function(assert) {
+    let { xhr } = await get('/posts?include=author,comments.post&sort=-created-at,author.name&fields[posts]=title,author&fields[authors]=name');
+
+    assert.equal(xhr.status, 200);
+  });
+
+  test('sort fields and sparse fields are validated against the declared attributes, whatever the data', async function(assert) {
+    this.server.db.emptyData();
+
+    let { xhr } = await get('/posts?sort=title&fields[posts]=title,created-at');
+    assert.equal(xhr.status, 200);
+
+    ({ xhr } = await get('/posts?sort=rating'));
+    assert.equal(xhr.status, 400);
+  });
+
+  test('the attributes of models that declare none aren\'t validated', async function(assert) {
+    this.server.get('/comments');
+
+    let { xhr } = await get('/comments?sort=-text,rating&fields[comments]=text,rating');
+
+    assert.equal(xhr.status, 200);
+  });
+
+  test('unknown include paths respond with a 400 error document', async function(assert) {
+    let { xhr } = await get('/posts?include=author.nonexistent,comments');
+
+    assert.equal(xhr.status, 400);
+    assert.deepEqual(JSON.parse(xhr.responseText), {
+      errors: [{
+        status: '400',
+        title: 'Invalid Query Parameter',
+        detail: 'The relationship path \'author.nonexistent\' does not exist on posts.',
+        source: { parameter: 'include' }
+      }]
+    });
+  });
+
+  test('unknown sort fields respond with a 400 error document', async function(assert) {
+    let { xhr } = await get('/posts?sort=title,-rating,author.age');
+    let { errors } = JSON.parse(xhr.responseText);
+
+    assert.equal(xhr.status, 400);
+    assert.deepEqual(errors.map(error => error.detail), [
+      'The sort field \'-rating\' does not exist on posts.',
+      'The sort field \'author.age\' does not exist on posts.'
+    ]);
+    assert.deepEqual(errors[0].source, { parameter: 'sort' });
+  });
+
+  test('unknown sparse fields and types respond with a 400 error document', async function(assert) {
+    let { xhr } = await get('/posts?fields[posts]=title,rating&fields[planets]=name');
+    let { errors } = JSON.parse(xhr.responseText);
+
+    assert.equal(xhr.status, 400);
+    assert.deepEqual(errors, [{
+      status: '400',
+      title: 'Invalid Query Parameter',
+      detail: 'The field \'rating\' does not exist on posts.',
+      source: { parameter: 'fields[posts]' }
+    }, {
+      status: '400',
+      title: 'Invalid Query Parameter',
+      detail: 'The type \'planets\' does not exist.',
+      source: { parameter: 'fields[planets]' }
+    }]);
+  });
+
+  test('requests with an unsupported Content-Type respond with a 415 before the route handler runs', async function(assert) {
+    let data = JSON.stringify({ data: { type: 'posts', attributes: { title: 'Dolor' } } });
+
+    let { xhr } = await promiseAjax({
+      method: 'POST',
+      url: '/posts',
+      headers: { 'Content-Type': `${JSON_API}; charset=utf-8` },
+      data
+    }).catch(error => error);
+
+    assert.equal(xhr.status, 415);
+    assert.equal(JSON.parse(xhr.responseText).errors[0].title, 'Unsupported Media Type');
+    assert.equal(this.server.db.posts.length, 1);
+
+    ({ xhr } = await promiseAjax({
+      method: 'POST',
+      url: '/posts',
+      headers: { 'Content-Type': `${JSON_API}; ext="https://jsonapi.org/ext/atomic"` },
+      data
+    }));
+
+    assert.equal(xhr.status, 201, 'the ext and profile parameters are supported');
+  });
+
+  test('a request with invalid query params doesn\'t change the db of a transactional route', async function(assert) {
+    this.server.post('/posts', { transactional: true });
+
+    let { xhr } = await promiseAjax({
+      method: 'POST',
+      url: '/posts?include=bogus',
+      headers: { 'Content-Type': JSON_API, 'Accept': JSON_API },
+      data: JSON.stringify({ data: { type: 'posts', attributes: { title: 'Dolor' } } })
+    }).catch(error => error);
+
+    assert.equal(xhr.status, 400);
+    assert.equal(JSON.parse(xhr.responseText).errors[0].source.parameter, 'include');
+    assert.equal(this.server.db.posts.length, 1);
+  });
+
+  test('requests that do not accept the JSON:API media type respond with a 406', async function(assert) {
+    let { xhr } = await get('/posts', { 'Accept': `${JSON_API}; version=1` });
+
+    assert.equal(xhr.status, 406);
+    assert.equal(JSON.parse(xhr.responseText).errors[0].title, 'Not Acceptable');
+
+    ({ xhr } = await get('/posts', { 'Accept': `${JSON_API}; version=1, ${JSON_API}; q=0.8` }));
+    assert.equal(xhr.status, 200);
+
+    ({ xhr } = await get('/posts', { 'Accept': '*/*' }));
+    assert.equal(xhr.status, 200);
+  });
+
+  test('requests are not validated unless the serializer is strict', async function(assert) {
+    this.server.config({
+      serializers: {
+        application: JSONAPISerializer
+      }
+    });
+
+    let { xhr } = await get('/posts?sort=rating&fields[posts]=rating', { 'Accept': 'text/html' });
+
+    assert.equal(xhr.status, 200);
+  });
+});
@@ -0,0 +1,158 @@
+import { module, test } from 'qunit';
+import { Model, hasMany, belongsTo, JSONAPISerializer, RestSerializer } from 'ember-cli-mirage';
+import Server from 'ember-cli-mirage/server';
+import promiseAjax from '../../helpers/promise-ajax';
+
+module('Integration | Server | Resource relationships', function(hooks) {
+  hooks.beforeEach(function() {
+    this.server = new Server({
+      environment: 'test',
+      models: {
+        author: Model.extend({
+          posts: hasMany()
+        }),
+        post: Model.extend({
+          author: belongsTo(),
+          comments: hasMany()
+        }),
+        comment: Model.extend({
+          post: belongsTo()
+        })
+      },
+      serializers: {
+        application: JSONAPISerializer
+      }
+    });
+    this.server.timing = 0;
+    this.server.logging = false;
+
+    let author = this.server.create('author');
+    let post = this.server.create('post', { author });
+    this.server.create('comment', { post });
+    this.server.create('comment', { post });
+    this.server.create('comment');
+    this.server.create('author');
+  });
+
+  hooks.afterEach(function() {
+    this.server.shutdown();
+  });
+
+  function relationshipRequest(method, url, data) {
+    return promiseAjax({ method, url, data: JSON.stringify({ data }) })
+      .catch(error => error);
+  }
+
+  test('it returns the linkage data of a relationship', async function(assert) {
+    this.server.resource('posts', { relationships: true });
+
+    let { data } = await promiseAjax({
+      method: 'GET',
+      url: '/posts/1/relationships/comments'
+    });
+
+    assert.deepEqual(data, {
+      data: [
+        { type: 'comments', id: '1' },
+        { type: 'comments', id: '2' }
+      ]
+    });
+
+    ({ data } = await promiseAjax({
+      method: 'GET',
+      url: '/posts/1/relationships/author'
+    }));
+
+    assert.deepEqual(data, { data: { type: 'authors', id: '1' } });
+  });
+
+  test('it returns the related resources', async function(assert) {
+    this.server.resource('posts', { relationships: true });
+    this.server.db.posts.update(1, { authorId: null });
+
+    let { data } = await promiseAjax({
+      method: 'GET',
+      url: '/posts/1/comments'
+    });
+
+    assert.deepEqual(data.data.map(comment => comment.id), ['1', '2']);
+
+    ({ data } = await promiseAjax({
+      method: 'GET',
+      url: '/posts/1/author'
+    }));
+
+    assert.deepEqual(data, { data: null });
+  });
+
+  test('it replaces a relationship with PATCH', async function(assert) {
+    this.server.resource('posts', { relationships: true });
+
+    let { xhr } = await relationshipRequest('PATCH', '/posts/1/relationships/comments', [
+      { type: 'comments', id: '3' }
+    ]);
+
+    assert.equal(xhr.status, 204);
+    assert.deepEqual(this.server.db.posts.find(1).commentIds, ['3']);
+    assert.equal(this.server.db.comments.find(1).postId, null);
+    assert.equal(this.server.db.comments.find(3).postId, '1');
+
+    ({ xhr } = await relationshipRequest('PATCH', '/posts/1/relationships/author', { type: 'authors', id: '2' }));
+
+    assert.equal(xhr.status, 204);
+    assert.equal(this.server.db.posts.find(1).authorId, '2');
+
+    ({ xhr } = await relationshipRequest('PATCH', '/posts/1/relationships/author', null));
+
+    assert.equal(xhr.status, 204);
+    assert.equal(this.server.db.posts.find(1).authorId, null);
+  });
+
+  test('it adds and removes members of a hasMany relationship with POST and DELETE', async function(assert) {
+    this.server.resource('posts', { relationships: true });
+
+    let { xhr } = await relationshipRequest('POST', '/posts/1/relationships/comments', [
+      { type: 'comments', id: '1' },
+      { type: 'comments', id: '3' }
+    ]);
+
+    assert.equal(xhr.status, 204);
+    assert.deepEqual(this.server.db.posts.find(1).commentIds, ['1', '2', '3'], 'existing members are not duplicated');
+
+    ({ xhr } = await relationshipRequest('DELETE', '/posts/1/relationships/comments', [
+      { type: 'comments', id: '1' }
+    ]));
+
+    assert.equal(xhr.status, 204);
+    assert.deepEqual(this.server.db.posts.find(1).commentIds, ['2', '3']);
+  });
+
+  test('it responds with errors for invalid relationship requests', async function(assert) {
+    this.server.resource('posts', { relationships: ['author', 'comments'] });
+
+    let { xhr } = await relationshipRequest('POST', '/posts/1/relationships/author', { type: 'authors', id: '2' });
+    assert.equal(xhr.status, 403, 'belongsTo relationships cannot be added to');
+
+    ({ xhr } = await relationshipRequest('POST', '/posts/1/relationships/comments', [{ type: 'comments', id: '99' }]));
+    assert.equal(xhr.status, 404, 'related models must exist');
+    assert.deepEqual(this.server.db.posts.find(1).commentIds, ['1', '2']);
+
+    ({ xhr } = await promiseAjax({ method: 'PATCH', url: '/posts/1/relationships/comments', data: '{}' }).catch(error => error));
+    assert.equal(xhr.status, 400, 'the document must have data');
+
+    ({ xhr } = await promiseAjax({ method: 'GET', url: '/posts/99/relationships/comments' }).catch(error => error));
+    assert.equal(xhr.status, 404, 'the model must exist');
+  });
+
+  test('it requires the JSONAPISerializer', function(assert) {
+    this.server.config({
+      serializers: {
+        application: RestSerializer
+      }
+    });
+
+    assert.throws(() => {
+      this.server.resource('posts', { relationships: true });
+    }, /You used the relationships option when defining the 'post' resource, but its serializer isn't a JSONAPISerializer/);
+  });
+});
@@ -1,5 +1,5 @@
 import {module, test} from 'qunit';
-import { Model, ActiveModelSerializer } from 'ember-cli-mirage';
+import { Model, hasMany, ActiveModelSerializer } from 'ember-cli-mirage';
 import Server from 'ember-cli-mirage/server';
 import promiseAjax from '../../helpers/promise-ajax';
 
@@ -8,6 +8,9 @@ module('Integration | Server | Resource shorthand', function(hooks) {
     this.server = new Server({
       environment: 'test',
       models: {
+        company: Model.extend({
+          contacts: hasMany()
+        }),
         contact: Model,
         blogPost: Model
       },
@@ -497,4 +500,202 @@ module('Integration | Server | Resource shorthand', function(hooks) {
       );
     }
   });
+
+  test('resource generates nested shorthands with the :parent option', async function(assert) {
+    assert.expect(4);
+
+    this.server.db.loadData({
+      companies: [
+        { id: 1, name: 'Hyrule Inc.', contactIds: ['1'] },
+        { id: 2, name: 'Termina Inc.', contactIds: ['2'] }
+      ],
+      contacts: [
+        { id: 1, name: 'Link' },
+        { id: 2, name: 'Zelda' }
+      ]
+    });
+
+    this.server.resource('contacts', { parent: 'company' });
+
+    let { data } = await promiseAjax({
+      method: 'GET',
+      url: '/companies/1/contacts'
+    });
+
+    assert.deepEqual(data, { contacts: [{ id: '1', name: 'Link' }] });
+
+    ({ data } = await promiseAjax({
+      method: 'POST',
+      url: '/companies/2/contacts',
+      data: JSON.stringify({
+        contact: {
+          name: 'Ganon'
+        }
+      })
+    }));
+
+    assert.deepEqual(this.server.db.companies.find(2).contactIds, ['2', data.contact.id]);
+
+    ({ data } = await promiseAjax({
+      method: 'PUT',
+      url: '/companies/1/contacts/1',
+      data: JSON.stringify({
+        contact: {
+          name: 'Young Link'
+        }
+      })
+    }));
+
+    assert.deepEqual(data, { contact: { id: '1', name: 'Young Link' } });
+
+    await promiseAjax({
+      method: 'DELETE',
+      url: '/companies/1/contacts/1'
+    });
+
+    assert.deepEqual(this.server.db.companies.find(1).contactIds, []);
+  });
+
+  test('resource generates custom member and collection actions', async function(assert) {
+    assert.expect(4);
+
+    this.server.db.loadData({
+      contacts: [
+        { id: 1, name: 'Link' },
+        { id: 2, name: 'Zelda' }
+      ]
+    });
+
+    this.server.resource('contacts', {
+      member: {
+        rename: {
+          method: 'post',
+          handler(contact, request) {
+            return contact.update({ name: request.queryParams.name });
+          }
+        }
+      },
+      collection: {
+        search(contacts, request) {
+          return contacts.filter(contact => contact.name.indexOf(request.queryParams.q) > -1);
+        }
+      }
+    });
+
+    let { data } = await promiseAjax({
+      method: 'POST',
+      url: '/contacts/1/rename?name=Ganon'
+    });
+
+    assert.deepEqual(data, { contact: { id: '1', name: 'Ganon' } });
+
+    ({ data } = await promiseAjax({
+      method: 'GET',
+      url: '/contacts/search?q=Zel'
+    }));
+
+    assert.deepEqual(data, { contacts: [{ id: '2', name: 'Zelda' }] });
+
+    let { xhr } = await promiseAjax({
+      method: 'POST',
+      url: '/contacts/3/rename?name=Ganon'
+    }).catch(error => error);
+
+    assert.equal(xhr.status, 404);
+
+    ({ data } = await promiseAjax({
+      method: 'GET',
+      url: '/contacts/1'
+    }));
+
+    assert.deepEqual(data, { contact: { id: '1', name: 'Ganon' } }, 'the built-in actions are still defined');
+  });
+
+  test('custom actions of a nested resource are scoped to the parent', async function(assert) {
+    assert.expect(4);
+
+    this.server.db.loadData({
+      companies: [
+        { id: 1, name: 'Hyrule Inc.', contactIds: ['1'] },
+        { id: 2, name: 'Termina Inc.', contactIds: ['2'] }
+      ],
+      contacts: [
+        { id: 1, name: 'Link' },
+        { id: 2, name: 'Zelda' }
+      ]
+    });
+
+    this.server.resource('contacts', {
+      parent: 'company',
+      only: ['greet', 'names'],
+      member: {
+        greet(contact) {
+          return { greeting: `Hello ${contact.name}` };
+        }
+      },
+      collection: {
+        names(contacts) {
+          return { names: contacts.models.map(contact => contact.name) };
+        }
+      }
+    });
+
+    let { data } = await promiseAjax({ method: 'GET', url: '/companies/1/contacts/1/greet' });
+    assert.deepEqual(data, { greeting: 'Hello Link' });
+
+    let { xhr } = await promiseAjax({ method: 'GET', url: '/companies/1/contacts/2/greet' }).catch(error => error);
+    assert.equal(xhr.status, 404, 'a contact of another company is not found');
+
+    ({ data } = await promiseAjax({ method: 'GET', url: '/companies/2/contacts/names' }));
+    assert.deepEqual(data, { names: ['Zelda'] });
+
+    ({ xhr } = await promiseAjax({ method: 'GET', url: '/companies/3/contacts/names' }).catch(error => error));
+    assert.equal(xhr.status, 404);
+  });
+
+  test('resource filters custom actions with the :only and :except options', async function(assert) {
+    assert.expect(3);
+
+    this.server.db.loadData({
+      contacts: [
+        { id: 1, name: 'Link' }
+      ]
+    });
+
+    let member = {
+      greet(contact) {
+        return { greeting: `Hello ${contact.name}` };
+      }
+    };
+
+    this.server.resource('contacts', { only: ['greet'], member });
+    this.server.resource('blog-posts', { path: '/posts', except: ['greet'], member });
+
+    let { data } = await promiseAjax({
+      method: 'GET',
+      url: '/contacts/1/greet'
+    });
+
+    assert.deepEqual(data, { greeting: 'Hello Link' });
+
+    let { error } = await promiseAjax({
+      method: 'GET',
+      url: '/contacts/1'
+    }).catch(error => error);
+
+    assert.ok(error.message.indexOf("Mirage: Your Ember app tried to GET '/contacts/1'") > -1);
+
+    ({ error } = await promiseAjax({
+      method: 'GET',
+      url: '/posts/1/greet'
+    }).catch(error => error));
+
+    assert.ok(error.message.indexOf("Mirage: Your Ember app tried to GET '/posts/1/greet'") > -1);
+  });
+
+  test('resource does not accept custom actions named like built-in actions', function(assert) {
+    assert.throws(() => {
+      this.server.resource('contacts', { member: { show() {} } });
+    }, /You defined the custom member action 'show' on the 'contacts' resource, but an action with that name already exists/);
+  });
 });
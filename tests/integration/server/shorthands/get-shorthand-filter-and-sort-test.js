@@ -0,0 +1,157 @@
+import { module, test } from 'qunit';
+import { Model, hasMany, belongsTo, JSONAPISerializer, RestSerializer } from 'ember-cli-mirage';
+import Server from 'ember-cli-mirage/server';
+import promiseAjax from '../../../helpers/promise-ajax';
+
+module('Integration | Server | Shorthands | GET shorthand filter and sort', function(hooks) {
+  hooks.beforeEach(function() {
+    this.server = new Server({
+      environment: 'test',
+      models: {
+        author: Model.extend({
+          posts: hasMany()
+        }),
+        post: Model.extend({
+          author: belongsTo()
+        })
+      },
+      serializers: {
+        application: JSONAPISerializer
+      }
+    });
+    this.server.timing = 0;
+    this.server.logging = false;
+
+    this.server.db.loadData({
+      authors: [
+        { id: 1, name: 'Link', postIds: [1, 4] },
+        { id: 2, name: 'Zelda', postIds: [2, 3] }
+      ],
+      posts: [
+        { id: 1, title: 'Lorem', published: true, views: 10, authorId: 1 },
+        { id: 2, title: 'Ipsum', published: false, views: 2, authorId: 2 },
+        { id: 3, title: 'Dolor', published: true, views: 30, authorId: 2 },
+        { id: 4, title: 'Amet', published: true, views: 2, authorId: 1 }
+      ]
+    });
+  });
+
+  hooks.afterEach(function() {
+    this.server.shutdown();
+  });
+
+  function ids(data) {
+    return data.data.map(resource => resource.id);
+  }
+
+  test('it filters with filter[attr] params', async function(assert) {
+    this.server.get('/posts', { filter: true });
+
+    let { data } = await promiseAjax({
+      method: 'GET',
+      url: '/posts?filter[published]=true&filter[views]=2,30'
+    });
+
+    assert.deepEqual(ids(data), ['3', '4']);
+  });
+
+  test('it filters on attributes of related models', async function(assert) {
+    this.server.get('/posts', { filter: true });
+
+    let { data } = await promiseAjax({
+      method: 'GET',
+      url: '/posts?filter[author.name]=Zelda'
+    });
+
+    assert.deepEqual(ids(data), ['2', '3']);
+
+    this.server.get('/authors', { filter: true });
+
+    ({ data } = await promiseAjax({
+      method: 'GET',
+      url: '/authors?filter[posts][title]=Amet'
+    }));
+
+    assert.deepEqual(ids(data), ['1'], 'hasMany paths match any related model');
+  });
+
+  test('it sorts by several keys, descending when prefixed with -', async function(assert) {
+    this.server.get('/posts', { sort: true });
+
+    let { data } = await promiseAjax({
+      method: 'GET',
+      url: '/posts?sort=-views,title'
+    });
+
+    assert.deepEqual(ids(data), ['3', '1', '4', '2']);
+
+    ({ data } = await promiseAjax({
+      method: 'GET',
+      url: '/posts?sort=author.name,-title'
+    }));
+
+    assert.deepEqual(ids(data), ['1', '4', '2', '3']);
+  });
+
+  test('it ignores filter and sort params unless the options are set', async function(assert) {
+    this.server.get('/posts');
+
+    let { data } = await promiseAjax({
+      method: 'GET',
+      url: '/posts?filter[published]=false&sort=-views'
+    });
+
+    assert.deepEqual(ids(data), ['1', '2', '3', '4']);
+  });
+
+  test('it filters and sorts before paginating', async function(assert) {
+    this.server.get('/posts', { filter: true, sort: true, paginate: true });
+
+    let { data } = await promiseAjax({
+      method: 'GET',
+      url: '/posts?filter[published]=true&sort=title&page[number]=1&page[size]=2'
+    });
+
+    assert.deepEqual(ids(data), ['4', '3']);
+    assert.deepEqual(data.meta, { total: 3 });
+  });
+
+  test('it filters with plain query params for non-JSON:API serializers', async function(assert) {
+    this.server.config({
+      serializers: {
+        application: RestSerializer
+      }
+    });
+    this.server.get('/posts', { filter: ['published', 'author.name', 'views'], sort: true });
+
+    let { data } = await promiseAjax({
+      method: 'GET',
+      url: '/posts?published=true&author.name=Link&sort=-title&q=lorem&_=123'
+    });
+
+    assert.deepEqual(data.posts.map(post => post.id), ['1', '4'], 'params that aren\'t listed are ignored');
+  });
+
+  test('it only filters on the listed keys', async function(assert) {
+    this.server.get('/posts', { filter: ['views'] });
+
+    let { data } = await promiseAjax({
+      method: 'GET',
+      url: '/posts?filter[published]=true&filter[views]=2'
+    });
+
+    assert.deepEqual(ids(data), ['2', '4']);
+  });
+
+  test('non-JSON:API serializers require the keys to be listed when the route is defined', function(assert) {
+    this.server.config({
+      serializers: {
+        application: RestSerializer
+      }
+    });
+
+    assert.throws(() => {
+      this.server.get('/posts', { filter: true });
+    }, /list the keys to filter on/);
+  });
+});
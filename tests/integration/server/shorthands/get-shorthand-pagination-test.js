@@ -0,0 +1,174 @@
+import { module, test } from 'qunit';
+import { Model, JSONAPISerializer, RestSerializer } from 'ember-cli-mirage';
+import Server from 'ember-cli-mirage/server';
+import promiseAjax from '../../../helpers/promise-ajax';
+
+module('Integration | Server | Shorthands | GET shorthand pagination', function(hooks) {
+  hooks.beforeEach(function() {
+    this.server = new Server({
+      environment: 'test',
+      models: {
+        post: Model
+      },
+      serializers: {
+        application: JSONAPISerializer
+      }
+    });
+    this.server.timing = 0;
+    this.server.logging = false;
+
+    this.server.db.loadData({
+      posts: [
+        { id: 1, title: 'Lorem' },
+        { id: 2, title: 'Ipsum' },
+        { id: 3, title: 'Dolor' },
+        { id: 4, title: 'Sit' },
+        { id: 5, title: 'Amet' }
+      ]
+    });
+  });
+
+  hooks.afterEach(function() {
+    this.server.shutdown();
+  });
+
+  function ids(data) {
+    return data.data.map(resource => resource.id);
+  }
+
+  test('it paginates with page[number] and page[size]', async function(assert) {
+    this.server.get('/posts', { paginate: true });
+
+    let { xhr, data } = await promiseAjax({
+      method: 'GET',
+      url: '/posts?page[number]=2&page[size]=2'
+    });
+
+    assert.equal(xhr.status, 200);
+    assert.deepEqual(ids(data), ['3', '4']);
+    assert.deepEqual(data.meta, { total: 5 });
+    assert.deepEqual(data.links, {
+      first: '/posts?page[number]=1&page[size]=2',
+      last: '/posts?page[number]=3&page[size]=2',
+      prev: '/posts?page[number]=1&page[size]=2',
+      next: '/posts?page[number]=3&page[size]=2'
+    });
+  });
+
+  test('it adds Link and X-Total-Count headers', async function(assert) {
+    this.server.get('/posts', { paginate: true });
+
+    let { xhr } = await promiseAjax({
+      method: 'GET',
+      url: '/posts?page[number]=3&page[size]=2'
+    });
+
+    assert.equal(xhr.getResponseHeader('X-Total-Count'), '5');
+    assert.equal(
+      xhr.getResponseHeader('Link'),
+      '</posts?page[number]=1&page[size]=2>; rel="first", </posts?page[number]=3&page[size]=2>; rel="last", </posts?page[number]=2&page[size]=2>; rel="prev"'
+    );
+  });
+
+  test('it returns the first page using the default page size when there are no pagination params', async function(assert) {
+    this.server.get('/posts', { paginate: { pageSize: 3 } });
+
+    let { data } = await promiseAjax({
+      method: 'GET',
+      url: '/posts'
+    });
+
+    assert.deepEqual(ids(data), ['1', '2', '3']);
+    assert.equal(data.links.next, '/posts?page[number]=2&page[size]=3');
+  });
+
+  test('it caps the page size at maxPageSize', async function(assert) {
+    this.server.get('/posts', { paginate: { maxPageSize: 2 } });
+
+    let { data } = await promiseAjax({
+      method: 'GET',
+      url: '/posts?page[size]=100'
+    });
+
+    assert.deepEqual(ids(data), ['1', '2']);
+  });
+
+  test('it paginates with offset and limit', async function(assert) {
+    this.server.get('/posts', { paginate: true });
+
+    let { data } = await promiseAjax({
+      method: 'GET',
+      url: '/posts?offset=1&limit=3'
+    });
+
+    assert.deepEqual(ids(data), ['2', '3', '4']);
+    assert.deepEqual(data.links, {
+      first: '/posts?offset=0&limit=3',
+      last: '/posts?offset=3&limit=3',
+      prev: '/posts?offset=0&limit=3',
+      next: '/posts?offset=4&limit=3'
+    });
+  });
+
+  test('it paginates with page[after] and page[before] cursors', async function(assert) {
+    this.server.get('/posts', { paginate: true });
+
+    let { data } = await promiseAjax({
+      method: 'GET',
+      url: '/posts?page[after]=1&page[size]=2'
+    });
+
+    assert.deepEqual(ids(data), ['2', '3']);
+    assert.deepEqual(data.links, {
+      first: '/posts?page[size]=2',
+      prev: '/posts?page[before]=2&page[size]=2',
+      next: '/posts?page[after]=3&page[size]=2'
+    });
+
+    ({ data } = await promiseAjax({
+      method: 'GET',
+      url: '/posts?page[before]=5&page[size]=3'
+    }));
+
+    assert.deepEqual(ids(data), ['2', '3', '4']);
+  });
+
+  test('it keeps other query params in the links', async function(assert) {
+    this.server.get('/posts', { paginate: true });
+
+    let { data } = await promiseAjax({
+      method: 'GET',
+      url: '/posts?filter=recent&page[number]=1&page[size]=4'
+    });
+
+    assert.equal(data.links.next, '/posts?filter=recent&page[number]=2&page[size]=4');
+  });
+
+  test('it adds pagination data under meta for non-JSON:API serializers', async function(assert) {
+    this.server.config({
+      serializers: {
+        application: RestSerializer
+      }
+    });
+    this.server.get('/posts', { paginate: true });
+
+    let { data } = await promiseAjax({
+      method: 'GET',
+      url: '/posts?page[number]=3&page[size]=2'
+    });
+
+    assert.deepEqual(data, {
+      posts: [
+        { id: '5', title: 'Amet' }
+      ],
+      meta: {
+        total: 5,
+        links: {
+          first: '/posts?page[number]=1&page[size]=2',
+          last: '/posts?page[number]=3&page[size]=2',
+          prev: '/posts?page[number]=2&page[size]=2'
+        }
+      }
+    });
+  });
+});
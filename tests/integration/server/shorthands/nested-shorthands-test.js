@@ -0,0 +1,182 @@
+import { module, test } from 'qunit';
+import { Model, hasMany, belongsTo, JSONAPISerializer } from 'ember-cli-mirage';
+import Server from 'ember-cli-mirage/server';
+import promiseAjax from '../../../helpers/promise-ajax';
+
+module('Integration | Server | Shorthands | Nested shorthands', function(hooks) {
+  hooks.beforeEach(function() {
+    this.server = new Server({
+      environment: 'test',
+      models: {
+        author: Model.extend({
+          posts: hasMany()
+        }),
+        post: Model.extend({
+          author: belongsTo()
+        }),
+        note: Model.extend({
+          author: belongsTo({ inverse: null })
+        }),
+        tag: Model
+      },
+      serializers: {
+        application: JSONAPISerializer
+      }
+    });
+    this.server.timing = 0;
+    this.server.logging = false;
+
+    let link = this.server.create('author', { name: 'Link' });
+    let zelda = this.server.create('author', { name: 'Zelda' });
+    this.server.create('post', { title: 'Lorem', author: link });
+    this.server.create('post', { title: 'Ipsum', author: zelda });
+    this.server.create('post', { title: 'Dolor', author: link });
+  });
+
+  hooks.afterEach(function() {
+    this.server.shutdown();
+  });
+
+  function ids(data) {
+    return data.data.map(resource => resource.id);
+  }
+
+  test('GET returns the parent\'s models', async function(assert) {
+    this.server.get('/authors/:authorId/posts');
+
+    let { data } = await promiseAjax({
+      method: 'GET',
+      url: '/authors/1/posts'
+    });
+
+    assert.deepEqual(ids(data), ['1', '3']);
+  });
+
+  test('GET composes with the filter and sort options', async function(assert) {
+    this.server.get('/authors/:authorId/posts', { filter: true, sort: true });
+
+    let { data } = await promiseAjax({
+      method: 'GET',
+      url: '/authors/1/posts?sort=title&filter[title]=Dolor,Ipsum'
+    });
+
+    assert.deepEqual(ids(data), ['3']);
+  });
+
+  test('GET returns a model only if it belongs to the parent', async function(assert) {
+    this.server.get('/authors/:authorId/posts/:id');
+
+    let { data } = await promiseAjax({
+      method: 'GET',
+      url: '/authors/1/posts/3'
+    });
+
+    assert.equal(data.data.attributes.title, 'Dolor');
+
+    let { xhr } = await promiseAjax({
+      method: 'GET',
+      url: '/authors/1/posts/2'
+    }).catch(error => error);
+
+    assert.equal(xhr.status, 404);
+  });
+
+  test('GET returns a 404 if the parent does not exist', async function(assert) {
+    this.server.get('/authors/:authorId/posts');
+
+    let { xhr } = await promiseAjax({
+      method: 'GET',
+      url: '/authors/99/posts'
+    }).catch(error => error);
+
+    assert.equal(xhr.status, 404);
+  });
+
+  test('POST creates a model associated with the parent', async function(assert) {
+    this.server.post('/authors/:authorId/posts');
+
+    let { data, xhr } = await promiseAjax({
+      method: 'POST',
+      url: '/authors/2/posts',
+      data: JSON.stringify({
+        data: {
+          type: 'posts',
+          attributes: {
+            title: 'Sit'
+          }
+        }
+      })
+    });
+
+    assert.equal(xhr.status, 201);
+    assert.equal(this.server.db.posts.find(data.data.id).authorId, '2');
+    assert.deepEqual(this.server.db.authors.find(2).postIds, ['2', '4']);
+  });
+
+  test('DELETE destroys a model only if it belongs to the parent', async function(assert) {
+    this.server.del('/authors/:authorId/posts/:id');
+
+    let { xhr } = await promiseAjax({
+      method: 'DELETE',
+      url: '/authors/1/posts/2'
+    }).catch(error => error);
+
+    assert.equal(xhr.status, 404);
+    assert.equal(this.server.db.posts.length, 3);
+
+    ({ xhr } = await promiseAjax({
+      method: 'DELETE',
+      url: '/authors/1/posts/1'
+    }));
+
+    assert.equal(xhr.status, 204);
+    assert.deepEqual(this.server.db.authors.find(1).postIds, ['3']);
+  });
+
+  test('the children\'s belongsTo is used if the parent has no hasMany to them', async function(assert) {
+    this.server.create('note', { text: 'Lorem', author: this.server.schema.authors.find(1) });
+    this.server.create('note', { text: 'Ipsum', author: this.server.schema.authors.find(2) });
+    this.server.get('/authors/:authorId/notes');
+    this.server.get('/authors/:authorId/notes/:id');
+    this.server.post('/authors/:authorId/notes');
+
+    let { data } = await promiseAjax({ method: 'GET', url: '/authors/1/notes' });
+    assert.deepEqual(ids(data), ['1']);
+
+    let { xhr } = await promiseAjax({ method: 'GET', url: '/authors/1/notes/2' }).catch(error => error);
+    assert.equal(xhr.status, 404);
+
+    await promiseAjax({
+      method: 'POST',
+      url: '/authors/2/notes',
+      data: JSON.stringify({ data: { type: 'notes', attributes: { text: 'Dolor' } } })
+    });
+    assert.equal(this.server.db.notes.find(3).authorId, '2');
+  });
+
+  test('the parent segments are ignored if the parent and the children aren\'t associated', async function(assert) {
+    this.server.create('tag', { name: 'Hyrule' });
+    this.server.create('tag', { name: 'Termina' });
+    this.server.get('/authors/:authorId/tags');
+    this.server.get('/authors/:authorId/tags/:id', 'tag');
+
+    let { data } = await promiseAjax({ method: 'GET', url: '/authors/1/tags' });
+
+    assert.deepEqual(ids(data), ['1', '2']);
+
+    ({ data } = await promiseAjax({ method: 'GET', url: '/authors/2/tags/1' }));
+
+    assert.equal(data.data.attributes.name, 'Hyrule');
+  });
+
+  test('the parent segments are ignored if they don\'t name a model', async function(assert) {
+    this.server.get('/api/:version/posts');
+
+    let { data } = await promiseAjax({
+      method: 'GET',
+      url: '/api/v1/posts'
+    });
+
+    assert.deepEqual(ids(data), ['1', '2', '3']);
+  });
+});
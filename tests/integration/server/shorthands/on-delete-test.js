@@ -0,0 +1,66 @@
+import { module, test } from 'qunit';
+import { Model, hasMany, belongsTo } from 'ember-cli-mirage';
+import Server from 'ember-cli-mirage/server';
+import promiseAjax from '../../../helpers/promise-ajax';
+
+module('Integration | Server | Shorthands | onDelete', function(hooks) {
+  hooks.beforeEach(function() {
+    this.server = new Server({
+      environment: 'test',
+      models: {
+        author: Model.extend({
+          posts: hasMany({ onDelete: 'restrict' })
+        }),
+        post: Model.extend({
+          author: belongsTo(),
+          comments: hasMany({ onDelete: 'cascade' })
+        }),
+        comment: Model.extend({
+          post: belongsTo()
+        })
+      }
+    });
+    this.server.timing = 0;
+    this.server.logging = false;
+
+    let author = this.server.create('author');
+    let post = this.server.create('post', { author });
+    this.server.create('comment', { post });
+    this.server.create('author');
+
+    this.server.del('/authors/:id');
+    this.server.del('/posts/:id');
+  });
+
+  hooks.afterEach(function() {
+    this.server.shutdown();
+  });
+
+  test('DELETE responds with a 409 when the model has restricted dependents', async function(assert) {
+    let { xhr } = await promiseAjax({
+      method: 'DELETE',
+      url: '/authors/1'
+    }).catch(error => error);
+
+    assert.equal(xhr.status, 409);
+    assert.deepEqual(JSON.parse(xhr.responseText), {
+      errors: [{
+        status: '409',
+        title: 'Conflict',
+        detail: 'The author with id 1 can\'t be destroyed, because it has dependent model:post(1).'
+      }]
+    });
+    assert.equal(this.server.db.authors.length, 2);
+
+    ({ xhr } = await promiseAjax({ method: 'DELETE', url: '/authors/2' }));
+    assert.equal(xhr.status, 204);
+  });
+
+  test('DELETE destroys dependents in cascade', async function(assert) {
+    let { xhr } = await promiseAjax({ method: 'DELETE', url: '/posts/1' });
+
+    assert.equal(xhr.status, 204);
+    assert.equal(this.server.db.comments.length, 0);
+    assert.deepEqual(this.server.db.authors.find(1).postIds, []);
+  });
+});
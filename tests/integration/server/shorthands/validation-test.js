@@ -0,0 +1,73 @@
+import { module, test } from 'qunit';
+import { Model, JSONAPISerializer } from 'ember-cli-mirage';
+import Server from 'ember-cli-mirage/server';
+import promiseAjax from '../../../helpers/promise-ajax';
+
+module('Integration | Server | Shorthands | Validations', function(hooks) {
+  hooks.beforeEach(function() {
+    this.server = new Server({
+      environment: 'test',
+      models: {
+        blogPost: Model.extend({
+          validations: {
+            title: { presence: true },
+            wordCount: { inclusion: [100, 200] }
+          }
+        })
+      },
+      serializers: {
+        application: JSONAPISerializer
+      }
+    });
+    this.server.timing = 0;
+    this.server.logging = false;
+
+    this.server.create('blog-post', { title: 'Lorem', wordCount: 100 });
+    this.server.post('/blog-posts');
+    this.server.put('/blog-posts/:id');
+  });
+
+  hooks.afterEach(function() {
+    this.server.shutdown();
+  });
+
+  test('POST responds with a 422 error document for an invalid model', async function(assert) {
+    let { xhr } = await promiseAjax({
+      method: 'POST',
+      url: '/blog-posts',
+      data: JSON.stringify({ data: { type: 'blog-posts', attributes: { 'word-count': 150 } } })
+    }).catch(error => error);
+
+    assert.equal(xhr.status, 422);
+    assert.deepEqual(JSON.parse(xhr.responseText), {
+      errors: [
+        { status: '422', detail: 'can\'t be blank', source: { pointer: '/data/attributes/title' } },
+        { status: '422', detail: 'is not included in the list', source: { pointer: '/data/attributes/word-count' } }
+      ]
+    });
+    assert.equal(this.server.db.blogPosts.length, 1);
+  });
+
+  test('PUT responds with a 422 error document for an invalid model', async function(assert) {
+    let { xhr } = await promiseAjax({
+      method: 'PUT',
+      url: '/blog-posts/1',
+      data: JSON.stringify({ data: { type: 'blog-posts', id: '1', attributes: { title: '' } } })
+    }).catch(error => error);
+
+    assert.equal(xhr.status, 422);
+    assert.equal(JSON.parse(xhr.responseText).errors[0].source.pointer, '/data/attributes/title');
+    assert.equal(this.server.db.blogPosts.find(1).title, 'Lorem');
+  });
+
+  test('valid models are still created', async function(assert) {
+    let { xhr } = await promiseAjax({
+      method: 'POST',
+      url: '/blog-posts',
+      data: JSON.stringify({ data: { type: 'blog-posts', attributes: { title: 'Ipsum' } } })
+    });
+
+    assert.equal(xhr.status, 201);
+    assert.equal(this.server.db.blogPosts.length, 2);
+  });
+});
@@ -0,0 +1,101 @@
+import { module, test } from 'qunit';
+import { Model, Response } from 'ember-cli-mirage';
+import Server from 'ember-cli-mirage/server';
+import promiseAjax from '../../helpers/promise-ajax';
+import { Promise } from 'rsvp';
+
+module('Integration | Server | Transactions', function(hooks) {
+  hooks.beforeEach(function() {
+    this.server = new Server({
+      environment: 'test',
+      models: {
+        post: Model,
+        comment: Model
+      }
+    });
+    this.server.timing = 0;
+    this.server.logging = false;
+
+    this.server.create('post', { title: 'Lorem' });
+    this.request = (url) => promiseAjax({ method: 'POST', url }).catch((error) => error);
+  });
+
+  hooks.afterEach(function() {
+    this.server.shutdown();
+  });
+
+  test('the changes of a handler that throws are rolled back', async function(assert) {
+    this.server.post('/posts', (schema) => {
+      schema.posts.find(1).update({ title: 'Ipsum' });
+      schema.posts.create({ title: 'Dolor' });
+
+      throw new Error('Something went wrong');
+    }, { transactional: true });
+
+    let { xhr } = await this.request('/posts');
+
+    assert.equal(xhr.status, 500);
+    assert.deepEqual(this.server.db.posts, [ { id: '1', title: 'Lorem' } ]);
+    assert.equal(this.server.create('post').id, '2', 'the ids of rolled back records are used again');
+  });
+
+  test('the changes of a handler that responds with an error are rolled back', async function(assert) {
+    this.server.post('/posts', (schema) => {
+      schema.posts.find(1).destroy();
+      schema.comments.create();
+
+      return new Response(422, {}, { errors: [ 'Invalid' ] });
+    }, { transactional: true });
+
+    let { xhr } = await this.request('/posts');
+
+    assert.equal(xhr.status, 422);
+    assert.deepEqual(this.server.db.posts, [ { id: '1', title: 'Lorem' } ]);
+    assert.deepEqual(this.server.db.comments, []);
+  });
+
+  test('the changes of a successful handler are kept', async function(assert) {
+    this.server.post('/posts', (schema) => schema.posts.create({ title: 'Ipsum' }), { transactional: true });
+
+    let { xhr } = await promiseAjax({ method: 'POST', url: '/posts' });
+
+    assert.equal(xhr.status, 201);
+    assert.equal(this.server.db.posts.length, 2);
+  });
+
+  test('transactions are turned on for a route or for the server', async function(assert) {
+    let handler = (schema) => {
+      schema.posts.create({ title: 'Ipsum' });
+
+      return new Response(500);
+    };
+    this.server.post('/posts', handler);
+    this.server.post('/drafts', handler);
+    this.server.post('/imports', handler, { transactional: false });
+
+    await this.request('/posts');
+    assert.equal(this.server.db.posts.length, 2, 'routes are not transactional by default');
+
+    this.server.transactional = true;
+    await this.request('/drafts');
+    assert.equal(this.server.db.posts.length, 2);
+
+    await this.request('/imports');
+    assert.equal(this.server.db.posts.length, 3, 'routes can opt out');
+  });
+
+  test('overlapping requests don\'t roll back each other\'s changes', async function(assert) {
+    this.server.transactional = true;
+    this.server.get('/posts/:id');
+    this.server.post('/posts', (schema) => schema.posts.create({ title: 'Ipsum' }));
+
+    let [ notFound, created ] = await Promise.all([
+      promiseAjax({ method: 'GET', url: '/posts/999' }).catch((error) => error),
+      promiseAjax({ method: 'POST', url: '/posts' })
+    ]);
+
+    assert.equal(notFound.xhr.status, 404);
+    assert.equal(created.xhr.status, 201);
+    assert.deepEqual(this.server.db.posts.map(({ title }) => title), [ 'Lorem', 'Ipsum' ]);
+  });
+});
@@ -0,0 +1,53 @@
+import { module, test } from 'qunit';
+import { Model, attr, JSONAPISerializer } from 'ember-cli-mirage';
+import Server from 'ember-cli-mirage/server';
+import promiseAjax from '../../helpers/promise-ajax';
+
+module('Integration | Server | Typed attrs', function(hooks) {
+  hooks.beforeEach(function() {
+    this.server = new Server({
+      environment: 'test',
+      models: {
+        event: Model.extend({
+          startsAt: attr('date'),
+          capacity: attr('number')
+        })
+      },
+      serializers: {
+        application: JSONAPISerializer
+      }
+    });
+    this.server.timing = 0;
+    this.server.logging = false;
+
+    this.server.get('/events/:id');
+    this.server.post('/events');
+  });
+
+  hooks.afterEach(function() {
+    this.server.shutdown();
+  });
+
+  test('attributes posted from the app are coerced', async function(assert) {
+    let { data } = await promiseAjax({
+      method: 'POST',
+      url: '/events',
+      data: JSON.stringify({
+        data: { type: 'events', attributes: { 'starts-at': '2018-01-01T10:00:00+02:00', capacity: '50' } }
+      })
+    });
+
+    assert.deepEqual(data.data.attributes, { 'starts-at': '2018-01-01T08:00:00.000Z', capacity: 50 });
+  });
+
+  test('dates created in a factory and records loaded into the db are serialized in the same format', async function(assert) {
+    this.server.create('event', { startsAt: new Date(Date.UTC(2018, 0, 1, 8)) });
+    this.server.db.events.insert({ startsAt: Date.UTC(2018, 0, 1, 8), capacity: '50' });
+
+    let { data: first } = await promiseAjax({ method: 'GET', url: '/events/1' });
+    let { data: second } = await promiseAjax({ method: 'GET', url: '/events/2' });
+
+    assert.equal(first.data.attributes['starts-at'], '2018-01-01T08:00:00.000Z');
+    assert.deepEqual(second.data.attributes, { 'starts-at': '2018-01-01T08:00:00.000Z', capacity: 50 });
+  });
+});
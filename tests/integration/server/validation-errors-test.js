@@ -0,0 +1,93 @@
+import { module, test } from 'qunit';
+import { Model, JSONAPISerializer, ValidationError } from 'ember-cli-mirage';
+import Server from 'ember-cli-mirage/server';
+import promiseAjax from '../../helpers/promise-ajax';
+
+module('Integration | Server | Validation errors', function(hooks) {
+  hooks.beforeEach(function() {
+    this.server = new Server({
+      environment: 'test',
+      models: {
+        post: Model.extend({
+          save() {
+            if (!this.title) {
+              throw new ValidationError({ title: ['can\'t be blank'] });
+            }
+
+            return Model.prototype.save.apply(this, arguments);
+          }
+        })
+      },
+      serializers: {
+        application: JSONAPISerializer
+      }
+    });
+    this.server.timing = 0;
+    this.server.logging = false;
+
+    this.server.create('post', { title: 'Lorem' });
+  });
+
+  hooks.afterEach(function() {
+    this.server.shutdown();
+  });
+
+  test('a ValidationError thrown by a POST shorthand responds with a 422 error document', async function(assert) {
+    this.server.post('/posts');
+
+    let { xhr } = await promiseAjax({
+      method: 'POST',
+      url: '/posts',
+      data: JSON.stringify({ data: { type: 'posts', attributes: { title: '' } } })
+    }).catch(error => error);
+
+    assert.equal(xhr.status, 422);
+    assert.deepEqual(JSON.parse(xhr.responseText), {
+      errors: [{ status: '422', detail: 'can\'t be blank', source: { pointer: '/data/attributes/title' } }]
+    });
+    assert.equal(this.server.db.posts.length, 1);
+  });
+
+  test('a ValidationError thrown by a PUT shorthand responds with a 422 error document', async function(assert) {
+    this.server.put('/posts/:id');
+
+    let { xhr } = await promiseAjax({
+      method: 'PUT',
+      url: '/posts/1',
+      data: JSON.stringify({ data: { type: 'posts', id: '1', attributes: { title: '' } } })
+    }).catch(error => error);
+
+    assert.equal(xhr.status, 422);
+    assert.equal(JSON.parse(xhr.responseText).errors[0].source.pointer, '/data/attributes/title');
+  });
+
+  test('a ValidationError thrown by a function handler responds with a 422 error document', async function(assert) {
+    this.server.post('/posts/:id/publish', function() {
+      throw new ValidationError([{ code: 'published', detail: 'The post is already published.', pointer: '/data' }]);
+    });
+
+    let { xhr } = await promiseAjax({
+      method: 'POST',
+      url: '/posts/1/publish'
+    }).catch(error => error);
+
+    assert.equal(xhr.status, 422);
+    assert.deepEqual(JSON.parse(xhr.responseText).errors, [
+      { status: '422', code: 'published', detail: 'The post is already published.', source: { pointer: '/data' } }
+    ]);
+  });
+
+  test('other errors still respond with a 500', async function(assert) {
+    this.server.post('/posts/:id/publish', function() {
+      throw new Error('Boom');
+    });
+
+    let { xhr } = await promiseAjax({
+      method: 'POST',
+      url: '/posts/1/publish'
+    }).catch(error => error);
+
+    assert.equal(xhr.status, 500);
+    assert.equal(JSON.parse(xhr.responseText).message, 'Boom');
+  });
+});
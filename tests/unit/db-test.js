@@ -1,5 +1,6 @@
 import Db from 'ember-cli-mirage/db';
 import DefaultIdentityManager from 'ember-cli-mirage/identity-manager';
+import { Promise } from 'rsvp';
 
 import {module, test} from 'qunit';
 
@@ -55,6 +56,53 @@ module('Unit | Db #createCollection', function(hooks) {
     assert.ok(db.contacts);
     assert.ok(db.addresses);
   });
+
+  test('a collection is an array of copies of its records', function(assert) {
+    db.createCollection('contacts', [ { name: 'Link' }, { name: 'Zelda' } ]);
+
+    let contacts = db.contacts;
+    contacts[0].name = 'Ganon';
+    contacts.push({ name: 'Epona' });
+
+    assert.ok(Array.isArray(contacts));
+    assert.equal(contacts.length, 3);
+    assert.deepEqual(contacts.map(({ name }) => name), [ 'Ganon', 'Zelda', 'Epona' ]);
+    assert.deepEqual(db.contacts, [ { id: '1', name: 'Link' }, { id: '2', name: 'Zelda' } ]);
+  });
+
+  test('calling a method of a collection doesn\'t copy its records', function(assert) {
+    db.createCollection('contacts', [ { name: 'Link' } ]);
+
+    let [ collection ] = db._collections;
+    let all = collection.all;
+    let copies = 0;
+    collection.all = function() {
+      copies++;
+      return all.apply(this, arguments);
+    };
+
+    db.contacts.insert({ name: 'Zelda' });
+    db.contacts.update(1, { evil: false });
+    assert.equal(db.contacts.where({ name: 'Zelda' }).length, 1);
+    assert.equal(copies, 0);
+
+    let contacts = db.contacts;
+    assert.equal(contacts.length, 2);
+    assert.equal(contacts[1].name, 'Zelda');
+    assert.equal(copies, 1, 'the records are copied once the array is used');
+  });
+
+  test('a collection holds the records it has when it\'s first used', function(assert) {
+    db.createCollection('contacts', [ { name: 'Link' } ]);
+
+    let contacts = db.contacts;
+    db.contacts.insert({ name: 'Zelda' });
+    let snapshot = db.contacts.slice();
+    db.contacts.insert({ name: 'Ganon' });
+
+    assert.equal(contacts.length, 3, 'records inserted before the array is used show up in it');
+    assert.equal(snapshot.length, 2);
+  });
 });
 
 module('Unit | Db #loadData', function(hooks) {
@@ -408,6 +456,75 @@ module('Unit | Db #where', function(hooks) {
   });
 });
 
+module('Unit | Db #where operators', function(hooks) {
+  hooks.beforeEach(function() {
+    db = new Db();
+    db.createCollection('contacts');
+    db.contacts.insert([
+      { name: 'Link',  age: 17, status: 'hero', address: { city: 'Kakariko' }, bornAt: '1986-02-21' },
+      { name: 'Zelda', age: '18', status: 'princess', address: { city: 'Hyrule' }, bornAt: '1986-02-21' },
+      { name: 'Ganon', age: 45, status: 'villain', address: null, bornAt: '1900-01-01' },
+      { name: 'Navi', status: 'fairy' }
+    ]);
+    this.names = (records) => records.map(({ name }) => name);
+  });
+
+  hooks.afterEach(function() {
+    db.emptyData();
+  });
+
+  test('range operators compare as numbers with a number', function(assert) {
+    assert.deepEqual(this.names(db.contacts.where({ age: { gt: 17 } })), [ 'Zelda', 'Ganon' ]);
+    assert.deepEqual(this.names(db.contacts.where({ age: { gte: 17, lt: 45 } })), [ 'Link', 'Zelda' ]);
+    assert.deepEqual(this.names(db.contacts.where({ age: { lte: 17 } })), [ 'Link' ], 'missing values never match');
+  });
+
+  test('range operators compare as dates with a Date, and as strings otherwise', function(assert) {
+    assert.deepEqual(this.names(db.contacts.where({ bornAt: { lt: new Date('1950-01-01') } })), [ 'Ganon' ]);
+    assert.deepEqual(this.names(db.contacts.where({ name: { gte: 'N' } })), [ 'Zelda', 'Navi' ]);
+  });
+
+  test('range operators compare numeric strings, like query param values, as numbers', function(assert) {
+    let queryParams = { minAge: '9', maxAge: '18' };
+
+    assert.deepEqual(this.names(db.contacts.where({ age: { gt: queryParams.minAge } })), [ 'Link', 'Zelda', 'Ganon' ]);
+    assert.deepEqual(this.names(db.contacts.where({ age: { lte: queryParams.maxAge } })), [ 'Link', 'Zelda' ]);
+    assert.deepEqual(this.names(db.contacts.where({ status: { lt: '9' } })), [], 'non-numeric values still compare as strings');
+  });
+
+  test('eq, ne, in and notIn compare values as strings', function(assert) {
+    assert.deepEqual(this.names(db.contacts.where({ age: { eq: 18 } })), [ 'Zelda' ]);
+    assert.deepEqual(this.names(db.contacts.where({ status: { ne: 'villain' } })), [ 'Link', 'Zelda', 'Navi' ]);
+    assert.deepEqual(this.names(db.contacts.where({ status: { in: [ 'hero', 'princess' ] } })), [ 'Link', 'Zelda' ]);
+    assert.deepEqual(this.names(db.contacts.where({ age: { notIn: [ 17, 18 ] } })), [ 'Ganon', 'Navi' ]);
+  });
+
+  test('null matches null and missing values', function(assert) {
+    assert.deepEqual(this.names(db.contacts.where({ address: { null: true } })), [ 'Ganon', 'Navi' ]);
+    assert.deepEqual(this.names(db.contacts.where({ age: { null: false } })), [ 'Link', 'Zelda', 'Ganon' ]);
+  });
+
+  test('regex matches string values', function(assert) {
+    assert.deepEqual(this.names(db.contacts.where({ name: { regex: /^N|^Z/ } })), [ 'Zelda', 'Navi' ]);
+    assert.deepEqual(this.names(db.contacts.where({ name: /a$/ })), [ 'Zelda' ]);
+  });
+
+  test('nested objects can be matched by path or by a hash of conditions', function(assert) {
+    assert.deepEqual(this.names(db.contacts.where({ 'address.city': 'Hyrule' })), [ 'Zelda' ]);
+    assert.deepEqual(this.names(db.contacts.where({ address: { city: { in: [ 'Hyrule', 'Kakariko' ] } } })), [ 'Link', 'Zelda' ]);
+  });
+
+  test('operators work with findBy, update and remove', function(assert) {
+    assert.equal(db.contacts.findBy({ age: { gt: 20 } }).name, 'Ganon');
+
+    db.contacts.update({ age: { lt: 18 } }, { status: 'kid' });
+    assert.deepEqual(this.names(db.contacts.where({ status: 'kid' })), [ 'Link' ]);
+
+    db.contacts.remove({ age: { null: true } });
+    assert.equal(db.contacts.length, 3);
+  });
+});
+
 module('Unit | Db #update', function(hooks) {
   hooks.beforeEach(function() {
     db = new Db();
@@ -581,6 +698,202 @@ module('Unit | Db #remove', function(hooks) {
   });
 });
 
+module('Unit | Db #addIndex', function(hooks) {
+  hooks.beforeEach(function() {
+    db = new Db();
+    db.createCollection('comments');
+    db.comments.insert([
+      { text: 'Lorem', postId: '1' },
+      { text: 'Ipsum', postId: '2' },
+      { text: 'Dolor', postId: '1' }
+    ]);
+    db.comments.addIndex('postId');
+  });
+
+  hooks.afterEach(function() {
+    db.emptyData();
+  });
+
+  test('indexed queries return the matching records in insertion order', function(assert) {
+    db.comments.insert({ text: 'Sit', postId: 1 });
+
+    assert.deepEqual(db.comments.where({ postId: 1 }).map(({ text }) => text), [ 'Lorem', 'Dolor', 'Sit' ]);
+    assert.deepEqual(db.comments.where({ postId: '1', text: 'Dolor' }).map(({ id }) => id), [ '3' ]);
+    assert.deepEqual(db.comments.where({ postId: 3 }), []);
+    assert.equal(db.comments.findBy({ postId: 2 }).text, 'Ipsum');
+  });
+
+  test('the index is kept up to date when records are updated and removed', function(assert) {
+    db.comments.update(1, { postId: '2' });
+    db.comments.update({ text: 'Ipsum' }, { postId: '3' });
+
+    assert.deepEqual(db.comments.where({ postId: 2 }).map(({ id }) => id), [ '1' ]);
+    assert.deepEqual(db.comments.where({ postId: 3 }).map(({ id }) => id), [ '2' ]);
+
+    db.comments.remove({ postId: 2 });
+    db.comments.update({ postId: '1' });
+
+    assert.deepEqual(db.comments.where({ postId: 1 }).map(({ id }) => id), [ '2', '3' ]);
+
+    db.comments.remove();
+    db.comments.insert({ text: 'Amet', postId: 1 });
+
+    assert.deepEqual(db.comments.where({ postId: 1 }).map(({ text }) => text), [ 'Amet' ]);
+  });
+
+  test('queries with operators ignore the index', function(assert) {
+    assert.deepEqual(db.comments.where({ postId: { in: [ 1, 2 ] } }).map(({ id }) => id), [ '1', '2', '3' ]);
+  });
+
+  test('records are looked up by id', function(assert) {
+    db.comments.remove(2);
+
+    assert.equal(db.comments.find(3).text, 'Dolor');
+    assert.deepEqual(db.comments.where({ id: 3, postId: 1 }).map(({ text }) => text), [ 'Dolor' ]);
+    assert.equal(db.comments.find(2), null);
+    assert.deepEqual(db.comments.find([ 1, 2, 3 ]).map(({ id }) => id), [ '1', '3' ]);
+  });
+
+  test('removing a record that doesn\'t exist removes nothing', function(assert) {
+    db.comments.remove(4);
+
+    assert.equal(db.comments.length, 3);
+  });
+});
+
+module('Unit | Db #snapshot and #restore', function(hooks) {
+  hooks.beforeEach(function() {
+    db = new Db();
+    db.createCollection('contacts', [ { name: 'Link', address: { city: 'Kakariko' } }, { name: 'Zelda' } ]);
+    db.createCollection('addresses');
+  });
+
+  hooks.afterEach(function() {
+    db.emptyData();
+  });
+
+  test('it restores the records and ids of every collection', function(assert) {
+    db.contacts.remove(2);
+    let snapshot = db.snapshot();
+
+    db.contacts.update(1, { name: 'Young Link' });
+    db.contacts.insert({ name: 'Ganon' });
+    db.addresses.insert({ city: 'Hyrule' });
+    db.restore(snapshot);
+
+    assert.deepEqual(db.contacts, [ { id: '1', name: 'Link', address: { city: 'Kakariko' } } ]);
+    assert.deepEqual(db.addresses, []);
+    assert.equal(db.contacts.insert({ name: 'Epona' }).id, '3', 'the identity manager is restored');
+  });
+
+  test('a snapshot can be restored many times, and into another db', function(assert) {
+    db.contacts.addIndex('name');
+    let snapshot = db.snapshot();
+
+    db._collections[0]._records[0].address.city = 'Hyrule';
+    db.restore(snapshot);
+    db.contacts.update(1, { address: { city: 'Lon Lon' } });
+    db.restore(snapshot);
+
+    assert.equal(db.contacts.find(1).address.city, 'Kakariko');
+    assert.deepEqual(db.contacts.where({ name: 'Zelda' }).map(({ id }) => id), [ '2' ], 'the indexes are rebuilt');
+
+    let otherDb = new Db();
+    otherDb.createCollection('posts', [ { title: 'Lorem' } ]);
+    otherDb.restore(snapshot);
+
+    assert.deepEqual(otherDb.contacts.map(({ name }) => name), [ 'Link', 'Zelda' ]);
+    assert.deepEqual(otherDb.posts, [], 'collections that aren\'t in the snapshot are emptied');
+  });
+});
+
+module('Unit | Db #transaction', function(hooks) {
+  hooks.beforeEach(function() {
+    db = new Db();
+    db.createCollection('contacts', [ { name: 'Link' }, { name: 'Zelda' }, { name: 'Ganon' } ]);
+    db.contacts.addIndex('name');
+  });
+
+  hooks.afterEach(function() {
+    db.emptyData();
+  });
+
+  test('it rolls back the changes of a callback that throws, and rethrows', function(assert) {
+    assert.throws(() => {
+      db.transaction(() => {
+        db.contacts.insert({ name: 'Epona' });
+        db.contacts.update({ name: 'Link' }, { name: 'Young Link', age: 10 });
+        db.contacts.remove(2);
+        db.contacts.remove();
+        db.contacts.insert({ name: 'Navi' });
+
+        throw new Error('Rollback');
+      });
+    }, /Rollback/);
+
+    assert.deepEqual(db.contacts, [ { id: '1', name: 'Link' }, { id: '2', name: 'Zelda' }, { id: '3', name: 'Ganon' } ]);
+    assert.deepEqual(db.contacts.where({ name: 'Link' }).map(({ id }) => id), [ '1' ], 'the indexes are restored');
+    assert.equal(db.contacts.insert({ name: 'Epona' }).id, '4', 'the ids are available again');
+  });
+
+  test('it keeps the changes and returns the result of a callback that succeeds', function(assert) {
+    let result = db.transaction(() => db.contacts.insert({ name: 'Epona' }));
+
+    assert.equal(result.id, '4');
+    assert.equal(db.contacts.length, 4);
+  });
+
+  test('rolling back a nested transaction only undoes its own changes', function(assert) {
+    db.transaction(() => {
+      db.contacts.remove(1);
+
+      assert.throws(() => {
+        db.transaction(() => {
+          db.contacts.remove(2);
+          throw new Error('Rollback');
+        });
+      });
+    });
+
+    assert.deepEqual(db.contacts.map(({ name }) => name), [ 'Zelda', 'Ganon' ]);
+  });
+
+  test('it rolls back the changes of a callback whose promise rejects', async function(assert) {
+    let promise = db.transaction(() => {
+      db.contacts.update(3, { name: 'Ganondorf' });
+
+      return Promise.reject(new Error('Rollback'));
+    });
+
+    await promise.catch(() => {});
+
+    assert.equal(db.contacts.find(3).name, 'Ganon');
+  });
+
+  test('rolling back a transaction keeps the changes of overlapping ones', async function(assert) {
+    let rollback;
+    let rejected = db.transaction(() => {
+      db.contacts.remove(1);
+
+      return new Promise((resolve, reject) => {
+        rollback = () => reject(new Error('Rollback'));
+      });
+    });
+    let committed = db.transaction(() => {
+      db.contacts.insert({ name: 'Epona' });
+
+      return Promise.resolve();
+    });
+
+    await committed;
+    rollback();
+    await rejected.catch(() => {});
+
+    assert.deepEqual(db.contacts.map(({ name }) => name), [ 'Link', 'Zelda', 'Ganon', 'Epona' ]);
+    assert.equal(db.contacts.insert({ name: 'Navi' }).id, '5', 'the ids of committed records stay used');
+  });
+});
+
 module('Unit | Db #firstOrCreate', function(hooks) {
   hooks.beforeEach(function() {
     db = new Db();
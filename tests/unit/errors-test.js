@@ -0,0 +1,44 @@
+import { errorResponse, ValidationError } from 'ember-cli-mirage/errors';
+import Response from 'ember-cli-mirage/response';
+
+import { module, test } from 'qunit';
+
+module('Unit | Errors', function() {
+  test('errorResponse returns a Response with a JSON:API error document', function(assert) {
+    let response = errorResponse(422, [
+      { pointer: '/data/attributes/title', code: 'blank', detail: 'Title can\'t be blank' },
+      { status: 409, title: 'Conflict', parameter: 'filter' }
+    ], { 'X-Custom': 'header' });
+
+    assert.ok(response instanceof Response);
+    assert.equal(response.code, 422);
+    assert.equal(response.headers['X-Custom'], 'header');
+    assert.deepEqual(response.data, {
+      errors: [
+        { status: '422', code: 'blank', detail: 'Title can\'t be blank', source: { pointer: '/data/attributes/title' } },
+        { status: '409', title: 'Conflict', source: { parameter: 'filter' } }
+      ]
+    });
+  });
+
+  test('errorResponse turns a hash of attribute messages into errors', function(assert) {
+    let response = errorResponse(422, {
+      firstName: ['can\'t be blank', 'is too short'],
+      base: 'is invalid'
+    });
+
+    assert.deepEqual(response.data.errors, [
+      { status: '422', detail: 'can\'t be blank', source: { pointer: '/data/attributes/first-name' } },
+      { status: '422', detail: 'is too short', source: { pointer: '/data/attributes/first-name' } },
+      { status: '422', detail: 'is invalid', source: { pointer: '/data' } }
+    ]);
+  });
+
+  test('ValidationError is an error carrying its errors', function(assert) {
+    let error = new ValidationError({ title: ['can\'t be blank'] });
+
+    assert.ok(error instanceof Error);
+    assert.equal(error.message, 'The record is invalid.');
+    assert.deepEqual(error.errors, { title: ['can\'t be blank'] });
+  });
+});
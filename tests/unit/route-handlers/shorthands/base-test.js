@@ -48,6 +48,23 @@ module('Unit | Route handlers | Shorthands | BaseShorthandRouteHandler', functio
     assert.equal(this.handler.getModelClassFromPath(urlWithIdAndSlash, true), 'elegant-user', 'it returns a singular model name');
   });
 
+  test('getParentFromPath returns the parent segments of nested paths', function(assert) {
+    assert.deepEqual(this.handler.getParentFromPath('/api/authors/:authorId/blog-posts'), {
+      modelName: 'author',
+      idParam: 'authorId',
+      key: 'blogPosts',
+      childIdParam: undefined
+    });
+    assert.deepEqual(this.handler.getParentFromPath('/fancy-authors/:id/posts/:postId'), {
+      modelName: 'fancy-author',
+      idParam: 'id',
+      key: 'posts',
+      childIdParam: 'postId'
+    });
+    assert.equal(this.handler.getParentFromPath('/api/posts/:id'), undefined, 'it returns undefined for non-nested paths');
+    assert.equal(this.handler.getParentFromPath('/posts/:id/:slug'), undefined, 'it returns undefined for non-nested paths');
+  });
+
   test('it can read the id from the url', function(assert) {
     let request = { params: { id: 'test-id' } };
     assert.equal(this.handler._getIdForRequest(request), 'test-id', 'it returns id from url parameters.');